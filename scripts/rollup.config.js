@@ -13,16 +13,34 @@ const input = {
   'core/util': 'src/core/util.js',
   'core/Polynomial': 'src/core/Polynomial.js',
   'core/Roots': 'src/core/Roots.js',
+  'core/Elliptic': 'src/core/Elliptic.js',
+  'core/FFT': 'src/core/FFT.js',
   'analog/Prototypes': 'src/analog/Prototypes.js',
   'digital/BLT': 'src/digital/BLT.js',
+  'digital/Discretize': 'src/digital/Discretize.js',
   'digital/SOS': 'src/digital/SOS.js',
+  'digital/Convert': 'src/digital/Convert.js',
+  'digital/Analysis': 'src/digital/Analysis.js',
   'digital/Response': 'src/digital/Response.js',
+  'digital/FilterEngine': 'src/digital/FilterEngine.js',
+  'digital/Order': 'src/digital/Order.js',
   'fir/Windows': 'src/fir/Windows.js',
+  'fir/Remez': 'src/fir/Remez.js',
+  'fir/LeastSquares': 'src/fir/LeastSquares.js',
+  'fir/FreqSampling': 'src/fir/FreqSampling.js',
   'fir/FIRDesigner': 'src/fir/FIRDesigner.js',
   'fir/FIRZeros': 'src/fir/FIRZeros.js',
+  'fir/MinimumPhase': 'src/fir/MinimumPhase.js',
+  'fir/Analytic': 'src/fir/Analytic.js',
   'iir/IIRDesigner': 'src/iir/IIRDesigner.js',
+  'iir/BiquadDesigner': 'src/iir/BiquadDesigner.js',
   'model/FIRFilter': 'src/model/FIRFilter.js',
-  'model/IIRFilter': 'src/model/IIRFilter.js'
+  'model/IIRFilter': 'src/model/IIRFilter.js',
+  'model/AnalogFilter': 'src/model/AnalogFilter.js',
+  'multirate/Polyphase': 'src/multirate/Polyphase.js',
+  'multirate/Resample': 'src/multirate/Resample.js',
+  'multirate/FractionalDelay': 'src/multirate/FractionalDelay.js',
+  'model/EQ': 'src/model/EQ.js'
 };
 
 const external = [];
@@ -1,5 +1,45 @@
 // Analog filter prototypes
-import { Poly } from "../core/Polynomial.js";
+import { Cx } from "../core/Complex.js";
+import { Roots } from "../core/Roots.js";
+import { Elliptic } from "../core/Elliptic.js";
+
+// log θ_N(0) = log((2N)! / (2^N N!)), kept in logs so large orders do not overflow
+function besselLogA0(N){ let a=0; for(let k=N+1;k<=2*N;k++) a+=Math.log(k/2); return a; }
+
+// v = m * 2^e exactly (e <= 0)
+function dyadic(v){ let e=0; while(!Number.isInteger(v)){ v*=2; e--; } return {m:BigInt(v), e}; }
+function bitLen(b){ return (b<0n ? -b : b).toString(2).length; }
+
+// Newton ratio y_N(x)/y_N'(x) for the Bessel polynomial, evaluated exactly in integers.
+// With x = X/2^E the recurrence y_n = (2n-1)x y_{n-1} + y_{n-2} becomes Y_n = (2n-1)X Y_{n-1} + 2^{2E} Y_{n-2}
+// (Y_n = 2^{En} y_n, D_n = 2^{E(n-1)} y_n'), so the cancellation near the roots costs no precision.
+function besselNewtonRatio(N, x){
+  const r=dyadic(x.re), i=dyadic(x.im), E=Math.max(0, -r.e, -i.e);
+  const Xr=r.m<<BigInt(r.e+E), Xi=i.m<<BigInt(i.e+E), S=1n<<BigInt(2*E);
+  let y2r=1n, y2i=0n, y1r=(1n<<BigInt(E))+Xr, y1i=Xi, d2r=0n, d2i=0n, d1r=1n, d1i=0n;
+  for(let n=2;n<=N;n++){
+    const c=BigInt(2*n-1);
+    const yr=c*(Xr*y1r-Xi*y1i)+S*y2r, yi=c*(Xr*y1i+Xi*y1r)+S*y2i;
+    const dr=c*y1r+c*(Xr*d1r-Xi*d1i)+S*d2r, di=c*y1i+c*(Xr*d1i+Xi*d1r)+S*d2i;
+    y2r=y1r; y2i=y1i; y1r=yr; y1i=yi; d2r=d1r; d2i=d1i; d1r=dr; d1i=di;
+  }
+  const sh=BigInt(Math.max(0, Math.max(bitLen(y1r), bitLen(y1i), bitLen(d1r), bitLen(d1i))-500));
+  const num={re:Number(y1r>>sh), im:Number(y1i>>sh)}, den={re:Number(d1r>>sh), im:Number(d1i>>sh)};
+  const q=Cx.div(num, den), f=Math.pow(2,-E);
+  return {re:q.re*f, im:q.im*f};
+}
+
+// Campos-Calderon asymptotic approximation of the Bessel polynomial y_N zeros (starting points)
+function camposZeros(N){
+  if(N===1) return [{re:-1,im:0}];
+  const pv=(x,c)=>c.reduceRight((acc,ck)=>acc*x+ck,0);
+  const s=pv(N,[0,0,2,0,-3,1]);
+  const b3=pv(N,[16,-8])/s, b2=pv(N,[-24,-12,12])/s, b1=pv(N,[8,24,-12,-2])/s, b0=pv(N,[0,-6,0,5,-1])/s;
+  const r=pv(N,[0,0,2,1]), a1=pv(N,[-6,-6])/r, a2=6/r;
+  const out=[];
+  for(let k=1;k<=N;k++) out.push({re:a1*k+a2*k*k, im:b0+b1*k+b2*k*k+b3*k*k*k});
+  return out;
+}
 
 export class Prototypes {
   static butter(N){
@@ -11,17 +51,35 @@ export class Prototypes {
     const eps=Math.sqrt(Math.pow(10, Rp/10)-1), alpha=Math.asinh(1/eps)/N;
     const poles=[], zeros=[];
     for(let k=1;k<=N;k++){ const th=(2*k-1)*Math.PI/(2*N); poles.push({re:-Math.sinh(alpha)*Math.sin(th), im:Math.cosh(alpha)*Math.cos(th)}); }
-    return {poles, zeros};
+    return {poles, zeros, dcGain: N%2 ? 1 : 1/Math.sqrt(1+eps*eps)};
   }
   static cheby2(N, Rs){
     const eps2=1/Math.sqrt(Math.pow(10, Rs/10)-1), alpha=Math.asinh(1/eps2)/N;
     const poles=[], zeros=[];
-    for(let k=1;k<=N;k++){ const th=(2*k-1)*Math.PI/(2*N); poles.push({re:-Math.sinh(alpha)*Math.sin(th), im:Math.cosh(alpha)*Math.cos(th)}); }
+    // Inverse Chebyshev: reciprocals of the Chebyshev I-style poles, stopband edge at 1 rad/s
+    for(let k=1;k<=N;k++){ const th=(2*k-1)*Math.PI/(2*N); poles.push(Cx.div({re:1,im:0}, {re:-Math.sinh(alpha)*Math.sin(th), im:Math.cosh(alpha)*Math.cos(th)})); }
     const M=Math.floor(N/2);
     for(let k=1;k<=M;k++){ const th=(2*k-1)*Math.PI/(2*N), Oz=1/Math.cos(th); zeros.push({re:0,im: Oz}, {re:0,im:-Oz}); }
     return {poles, zeros};
   }
-  // Educational hybrid (not exact elliptic)
+  // Elliptic (Cauer): equiripple Rp up to the passband edge (1 rad/s), at least Rs beyond the stopband edge
+  static ellip(N, Rp, Rs){
+    const eps2=Math.pow(10, Rp/10)-1, eps=Math.sqrt(eps2);
+    if(N===1) return {poles:[{re:-1/eps, im:0}], zeros:[]};
+    const m1=eps2/(Math.pow(10, Rs/10)-1), m=Elliptic.degree(N, m1), K=Elliptic.K(m);
+
+    const zeros=[], poles=[];
+    const v0=K*Elliptic.arcsc1(1/eps, m1)/(N*Elliptic.K(m1));
+    const {sn:sv, cn:cv, dn:dv}=Elliptic.ellipj(v0, 1-m);
+    for(let j=1-N%2; j<N; j+=2){
+      const {sn:s, cn:c, dn:d}=Elliptic.ellipj(j*K/N, m);
+      if(Math.abs(s)>1e-12){ const zi=1/(Math.sqrt(m)*s); zeros.push({re:0, im:zi}, {re:0, im:-zi}); }
+      const den=1-(d*sv)*(d*sv), p={re:-c*d*sv*cv/den, im:-s*dv/den};
+      if(Math.abs(p.im)>1e-12) poles.push(p, {re:p.re, im:-p.im}); else poles.push({re:p.re, im:0});
+    }
+    return {poles, zeros, dcGain: N%2 ? 1 : 1/Math.sqrt(1+eps2)};
+  }
+  // Educational hybrid (not exact elliptic): Chebyshev I poles with Chebyshev II zeros
   static ellipHybrid(N, Rp, Rs){
     const p=Prototypes.cheby1(N,Rp), z=Prototypes.cheby2(N,Rs);
     return {poles:p.poles, zeros:z.zeros};
@@ -32,28 +90,24 @@ export class Prototypes {
     const poles=[]; base.poles.forEach(pl=>{ poles.push(pl,{re:pl.re,im:pl.im}); });
     return {poles, zeros:[], enforcedOrder:evenN};
   }
-  static bessel(N){
-    const n=Math.min(N,12); const a=new Array(n+1).fill(0); a[0]=1;
-    for(let k=1;k<=n;k++) a[k]=a[k-1]*((n+k)*(n-k+1))/(2*k);
-    // tiny DK for Bessel poly (ascending coeff eval)
-    const poles = (() => {
-      const nn=a.length-1, R=1.5, z=new Array(nn);
-      for(let i=0;i<nn;i++){ const ang=2*Math.PI*(i+1)/nn; z[i]={re:R*Math.cos(ang), im:R*Math.sin(ang)}; }
-      for(let it=0; it<200; it++){
-        let moved=false;
-        for(let i=0;i<nn;i++){
-          let denom={re:1,im:0};
-          for(let j=0;j<nn;j++) if(i!==j) denom={re:denom.re*(z[i].re-z[j].re)-denom.im*(z[i].im-z[j].im), im:denom.re*(z[i].im-z[j].im)+denom.im*(z[i].re-z[j].re)};
-          const f=Poly.evalRealAsc(a, z[i]);
-          const delta={re:f.re/(denom.re||1e-300), im:f.im/(denom.re||1e-300)}; // crude but ok
-          const ni={re:z[i].re-delta.re, im:z[i].im-delta.im};
-          if(Math.hypot(ni.re-z[i].re, ni.im-z[i].im)>1e-12) moved=true;
-          z[i]=ni;
-        }
-        if(!moved) break;
-      }
-      return z.filter(r=> r.re<0 || Math.abs(r.re)<1e-12);
-    })();
-    return {poles, zeros:[]};
+  // Bessel-Thomson: roots of the reverse Bessel polynomial, normalized for
+  // 'delay' (unit group delay at DC), 'phase' (Butterworth-matched asymptote) or 'mag' (-3 dB at 1 rad/s)
+  static bessel(N, norm='mag'){
+    const x=Roots.aberthWith(z=>({p:besselNewtonRatio(N,z), dp:{re:1,im:0}}), camposZeros(N));
+    let poles=x.map(z=>Cx.div({re:1,im:0}, z));
+    poles=poles.map(p=>({re:p.re, im:Math.abs(p.im)<1e-12*Cx.abs(p) ? 0 : p.im}))
+               .sort((p,q)=>p.im-q.im);
+    // enforce exact conjugate symmetry
+    poles=poles.map((p,i)=>{ const q=poles[N-1-i]; return {re:(p.re+q.re)/2, im:(p.im-q.im)/2}; });
+    let scale=1;
+    if(norm==='phase') scale=Math.exp(-besselLogA0(N)/N);
+    else if(norm==='mag'){
+      const mag2=w=>{ let r=1; for(const p of poles) r*=(p.re*p.re+p.im*p.im)/(p.re*p.re+(w-p.im)*(w-p.im)); return r; };
+      let lo=0, hi=1; while(mag2(hi)>0.5) hi*=2;
+      for(let i=0;i<200 && hi-lo>1e-15*hi;i++){ const mid=(lo+hi)/2; if(mag2(mid)>0.5) lo=mid; else hi=mid; }
+      scale=1/((lo+hi)/2);
+    }
+    else if(norm!=='delay') throw new Error(`unknown Bessel normalization '${norm}'`);
+    return {poles:poles.map(p=>({re:p.re*scale, im:p.im*scale})), zeros:[]};
   }
 }
@@ -0,0 +1,44 @@
+// Complete elliptic integrals and Jacobi elliptic functions (parameter m = k^2)
+
+function agm(a, b){
+  for(let i=0;i<64 && Math.abs(a-b)>1e-16*a;i++){ const an=(a+b)/2; b=Math.sqrt(a*b); a=an; }
+  return a;
+}
+
+export class Elliptic {
+  // K(m), complete elliptic integral of the first kind
+  static K(m){ return m>=1 ? Infinity : Math.PI/(2*agm(1, Math.sqrt(1-m))); }
+  // K(1-m1), accurate for small m1
+  static Kc(m1){ return m1<=0 ? Infinity : Math.PI/(2*agm(1, Math.sqrt(m1))); }
+
+  // Jacobi sn, cn, dn by descending Landen transformations (AGM)
+  static ellipj(u, m){
+    if(m<1e-16) return { sn:Math.sin(u), cn:Math.cos(u), dn:1 };
+    if(m>1-1e-16){ const t=Math.tanh(u), s=1/Math.cosh(u); return { sn:t, cn:s, dn:s }; }
+    const a=[1], c=[Math.sqrt(m)]; let b=Math.sqrt(1-m), n=0;
+    while(Math.abs(c[n])>1e-16 && n<64){ a.push((a[n]+b)/2); c.push((a[n]-b)/2); b=Math.sqrt(a[n]*b); n++; }
+    let phi=Math.pow(2,n)*a[n]*u, prev=phi;
+    for(let i=n;i>0;i--){ prev=phi; phi=(phi+Math.asin(Math.max(-1, Math.min(1, c[i]*Math.sin(phi)/a[i]))))/2; }
+    const sn=Math.sin(phi), cn=Math.cos(phi);
+    return { sn, cn, dn: n ? cn/Math.cos(prev-phi) : 1 };
+  }
+
+  // Imaginary part of the inverse sn at the imaginary point j*w (inverse Jacobi sc), via Landen's moduli
+  static arcsc1(w, m){
+    const ks=[Math.sqrt(m)];
+    while(ks[ks.length-1]>1e-300 && ks.length<64){ const k=ks[ks.length-1], kp=Math.sqrt((1-k)*(1+k)); ks.push((1-kp)/(1+kp)); if(ks[ks.length-1]===k) break; }
+    let K=Math.PI/2; for(let i=1;i<ks.length;i++) K*=1+ks[i];
+    let y=w;
+    for(let i=0;i<ks.length-1;i++) y=2*y/((1+ks[i+1])*(1+Math.sqrt(1+ks[i]*ks[i]*y*y)));
+    return K*2/Math.PI*Math.asinh(y);
+  }
+
+  // Solve the degree equation N*K'(m1)/K(m1) = K'(m)/K(m) for m via nome series
+  static degree(N, m1){
+    const q=Math.exp(-Math.PI*Elliptic.Kc(m1)/Elliptic.K(m1)/N);
+    let num=0, den=1;
+    for(let s=0;s<=7;s++) num+=Math.pow(q, s*(s+1));
+    for(let s=1;s<=7;s++) den+=2*Math.pow(q, s*s);
+    return 16*q*Math.pow(num/den, 4);
+  }
+}
@@ -0,0 +1,152 @@
+// Fast Fourier transform: radix-2 for powers of two, Bluestein (chirp-z through a radix-2 convolution) for any other length
+// Arrays are split re/im Float64Arrays; forward is X[k] = sum x[n] e^{-2πjkn/N}, inverse includes the 1/N scaling
+
+const tables=new Map(), chirps=new Map(), circles=new Map();
+function cached(map, n, make){
+  let t=map.get(n);
+  if(!t){ if(map.size>=16) map.clear(); t=make(n); map.set(n, t); }
+  return t;
+}
+
+function radix2Table(n){
+  const cos=new Float64Array(n/2), sin=new Float64Array(n/2), rev=new Uint32Array(n);
+  for(let k=0;k<n/2;k++){ cos[k]=Math.cos(2*Math.PI*k/n); sin[k]=-Math.sin(2*Math.PI*k/n); }
+  for(let i=1, j=0;i<n;i++){
+    let bit=n>>1; for(; j&bit; bit>>=1) j^=bit; j^=bit;
+    rev[i]=j;
+  }
+  return { cos, sin, rev };
+}
+
+function radix2(re, im){
+  const n=re.length, { cos, sin, rev } = cached(tables, n, radix2Table);
+  for(let i=1;i<n;i++){
+    const j=rev[i];
+    if(i<j){ let t=re[i]; re[i]=re[j]; re[j]=t; t=im[i]; im[i]=im[j]; im[j]=t; }
+  }
+  for(let len=2;len<=n;len<<=1){
+    const half=len>>1, step=n/len;
+    for(let i=0;i<n;i+=len){
+      for(let k=0;k<half;k++){
+        const a=i+k, b=a+half, wr=cos[k*step], wi=sin[k*step];
+        const tr=re[b]*wr-im[b]*wi, ti=re[b]*wi+im[b]*wr;
+        re[b]=re[a]-tr; im[b]=im[a]-ti; re[a]+=tr; im[a]+=ti;
+      }
+    }
+  }
+}
+
+// Chirp e^{-jπk²/n} (k² taken mod 2n to keep the argument small) and the transformed conjugate chirp filter
+function bluesteinTable(n){
+  const m=FFT.nextPow2(2*n-1), wr=new Float64Array(n), wi=new Float64Array(n);
+  for(let k=0;k<n;k++){ const a=Math.PI*((k*k)%(2*n))/n; wr[k]=Math.cos(a); wi[k]=-Math.sin(a); }
+  const br=new Float64Array(m), bi=new Float64Array(m);
+  br[0]=wr[0]; bi[0]=-wi[0];
+  for(let k=1;k<n;k++){ br[k]=br[m-k]=wr[k]; bi[k]=bi[m-k]=-wi[k]; }
+  radix2(br, bi);
+  return { m, wr, wi, br, bi };
+}
+
+function bluestein(re, im){
+  const n=re.length, { m, wr, wi, br, bi } = cached(chirps, n, bluesteinTable);
+  const ar=new Float64Array(m), ai=new Float64Array(m);
+  for(let k=0;k<n;k++){ ar[k]=re[k]*wr[k]-im[k]*wi[k]; ai[k]=re[k]*wi[k]+im[k]*wr[k]; }
+  radix2(ar, ai);
+  for(let k=0;k<m;k++){ const r=ar[k]*br[k]-ai[k]*bi[k]; ai[k]=-(ar[k]*bi[k]+ai[k]*br[k]); ar[k]=r; } // conj for the inverse
+  radix2(ar, ai);
+  for(let k=0;k<n;k++){
+    const cr=ar[k]/m, ci=-ai[k]/m;
+    re[k]=cr*wr[k]-ci*wi[k]; im[k]=cr*wi[k]+ci*wr[k];
+  }
+}
+
+export class FFT {
+  static isPow2(n){ return n>0 && (n&(n-1))===0; }
+  static nextPow2(n){ let m=1; while(m<n) m*=2; return m; }
+
+  // In place, any length
+  static transform(re, im, inverse=false){
+    const n=re.length;
+    if(im.length!==n) throw new Error('re and im must have the same length');
+    if(n<=1) return;
+    if(inverse) for(let k=0;k<n;k++) im[k]=-im[k];
+    if(FFT.isPow2(n)) radix2(re, im); else bluestein(re, im);
+    if(inverse) for(let k=0;k<n;k++){ re[k]/=n; im[k]=-im[k]/n; }
+  }
+
+  static fft(re, im=new Float64Array(re.length)){
+    const r=Float64Array.from(re), i=Float64Array.from(im);
+    FFT.transform(r, i); return { re:r, im:i };
+  }
+  static ifft(re, im){
+    const r=Float64Array.from(re), i=Float64Array.from(im);
+    FFT.transform(r, i, true); return { re:r, im:i };
+  }
+
+  // Real input, zero-padded or truncated to n; bins 0..floor(n/2). Even n runs as one complex transform of n/2
+  static rfft(x, n=x.length){
+    const nb=Math.floor(n/2)+1, L=Math.min(n, x.length);
+    if(n%2===1 || n<4){
+      const re=new Float64Array(n), im=new Float64Array(n);
+      for(let i=0;i<L;i++) re[i]=x[i];
+      FFT.transform(re, im);
+      return { re:re.slice(0, nb), im:im.slice(0, nb) };
+    }
+    const h=n/2, zr=new Float64Array(h), zi=new Float64Array(h);
+    for(let i=0;i<L;i++) (i&1 ? zi : zr)[i>>1]=x[i];
+    FFT.transform(zr, zi);
+    const re=new Float64Array(nb), im=new Float64Array(nb);
+    for(let k=0;k<=h;k++){
+      const a=k%h, b=(h-k)%h;
+      const er=(zr[a]+zr[b])/2, ei=(zi[a]-zi[b])/2; // even samples
+      const or=(zi[a]+zi[b])/2, oi=-(zr[a]-zr[b])/2; // odd samples
+      const c=Math.cos(2*Math.PI*k/n), s=-Math.sin(2*Math.PI*k/n);
+      re[k]=er+or*c-oi*s; im[k]=ei+or*s+oi*c;
+    }
+    return { re, im };
+  }
+
+  // Transforms of two real sequences with one complex transform of length n: X = (Z[k] + conj Z[n-k])/2, Y = (Z[k] - conj Z[n-k])/2j
+  static rfft2(x, y, n=Math.max(x.length, y.length)){
+    const re=new Float64Array(n), im=new Float64Array(n);
+    for(let i=0;i<Math.min(n, x.length);i++) re[i]=x[i];
+    for(let i=0;i<Math.min(n, y.length);i++) im[i]=y[i];
+    FFT.transform(re, im);
+    const nb=Math.floor(n/2)+1, X={ re:new Float64Array(nb), im:new Float64Array(nb) }, Y={ re:new Float64Array(nb), im:new Float64Array(nb) };
+    for(let k=0;k<nb;k++){
+      const j=(n-k)%n;
+      X.re[k]=(re[k]+re[j])/2; X.im[k]=(im[k]-im[j])/2;
+      Y.re[k]=(im[k]+im[j])/2; Y.im[k]=-(re[k]-re[j])/2;
+    }
+    return [X, Y];
+  }
+
+  // sum c[n] e^{-jwn} at w = πi/(Nf-1), i = 0..Nf-1: bins of a length 2(Nf-1) DFT, so an rfft after folding c onto that
+  // length; short coefficient lists (biquad sections) are cheaper summed directly against a cached table of e^{-2πjk/L}
+  static dtftGrid(c, Nf){
+    if(Nf===1){ let s=0; for(const v of c) s+=v; return { re:Float64Array.of(s), im:Float64Array.of(0) }; }
+    const L=2*(Nf-1);
+    if(c.length>16) return FFT.rfft(fold(c, L), L);
+    const { cos, sin } = cached(circles, L, unitCircle), re=new Float64Array(Nf), im=new Float64Array(Nf);
+    for(let i=0;i<Nf;i++){
+      let r=0, q=0;
+      for(let n=0, k=0;n<c.length;n++){ r+=c[n]*cos[k]; q+=c[n]*sin[k]; k+=i; if(k>=L) k-=L; }
+      re[i]=r; im[i]=q;
+    }
+    return { re, im };
+  }
+}
+
+function unitCircle(L){
+  const cos=new Float64Array(L), sin=new Float64Array(L);
+  for(let k=0;k<L;k++){ cos[k]=Math.cos(2*Math.PI*k/L); sin[k]=-Math.sin(2*Math.PI*k/L); }
+  return { cos, sin };
+}
+
+// Time-aliasing onto length L leaves the DFT bins unchanged
+function fold(c, L){
+  if(c.length<=L) return c;
+  const out=new Float64Array(L);
+  for(let n=0;n<c.length;n++) out[n%L]+=c[n];
+  return out;
+}
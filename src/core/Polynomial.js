@@ -8,4 +8,25 @@ export class Poly {
     for(let i=1;i<coeffs.length;i++) res = Cx.add(Cx.mul(res,z), {re:coeffs[i], im:0});
     return res;
   }
+  static mul(a, b){
+    const r=new Array(a.length+b.length-1).fill(0);
+    for(let i=0;i<a.length;i++) for(let j=0;j<b.length;j++) r[i+j]+=a[i]*b[j];
+    return r;
+  }
+  // Aligned at the constant term
+  static add(a, b){
+    const n=Math.max(a.length, b.length), r=new Array(n).fill(0);
+    a.forEach((v,i)=>{ r[n-a.length+i]+=v; }); b.forEach((v,i)=>{ r[n-b.length+i]+=v; });
+    return r;
+  }
+  // Monic polynomial with the given roots; complex roots must come in conjugate pairs for a real result
+  static fromRoots(roots){
+    let c=[{re:1,im:0}];
+    for(const r of roots){
+      const next=c.concat([{re:0,im:0}]);
+      for(let i=1;i<next.length;i++) next[i]=Cx.sub(next[i], Cx.mul(r, c[i-1]));
+      c=next;
+    }
+    return c.map(v=>v.re);
+  }
 }
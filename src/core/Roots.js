@@ -52,6 +52,63 @@ export class Roots {
     return roots;
   }
 
+  // All roots of a real polynomial (highest power first): exact zero roots for trailing zeros, closed form up to degree 2
+  static polyRoots(coeffs){
+    const big=Math.max(0, ...coeffs.map(Math.abs));
+    let lo=0, hi=coeffs.length-1;
+    while(lo<=hi && Math.abs(coeffs[lo])<=1e-14*big) lo++;
+    if(lo>hi) return [];
+    const out=[];
+    while(hi>lo && coeffs[hi]===0){ out.push({re:0,im:0}); hi--; }
+    const c=coeffs.slice(lo, hi+1).map(v=>v/coeffs[lo]), n=c.length-1;
+    if(n===1) out.push({re:-c[1], im:0});
+    else if(n===2){
+      const d=c[1]*c[1]-4*c[2];
+      if(d>=0){ const q=-(c[1]+Math.sign(c[1]||1)*Math.sqrt(d))/2; out.push({re:q, im:0}, {re:q ? c[2]/q : 0, im:0}); }
+      else { const s=Math.sqrt(-d)/2; out.push({re:-c[1]/2, im:s}, {re:-c[1]/2, im:-s}); }
+    }
+    else if(n>2) out.push(...Roots.conjugateSymmetric(Roots.aberthMonic(c)));
+    return out;
+  }
+
+  // Real-coefficient roots come in conjugate pairs: average each root with its nearest conjugate partner,
+  // or make it real when it is closer to its own conjugate (clusters around repeated roots)
+  static conjugateSymmetric(roots){
+    const out=roots.map(r=>({re:r.re, im:r.im})), done=new Array(out.length).fill(false);
+    for(let i=0;i<out.length;i++){
+      if(done[i]) continue;
+      const r=out[i]; let j=-1, dj=Infinity;
+      for(let k=0;k<out.length;k++) if(k!==i && !done[k]){ const d=Math.hypot(out[k].re-r.re, out[k].im+r.im); if(d<dj){ dj=d; j=k; } }
+      done[i]=true;
+      if(j>=0 && dj<2*Math.abs(r.im)){
+        const re=(r.re+out[j].re)/2, im=(Math.abs(r.im)+Math.abs(out[j].im))/2;
+        out[i]={re, im:r.im>=0 ? im : -im}; out[j]={re, im:r.im>=0 ? -im : im}; done[j]=true;
+      }
+      else out[i]={re:r.re, im:0};
+    }
+    return out;
+  }
+
+  // Aberth-Ehrlich from given starting points; evalPD(z) returns {p, dp} (any common scale factor is fine)
+  static aberthWith(evalPD, init, { maxIt=200, tol=1e-15 }={}){
+    const roots=init.map(z=>({re:z.re, im:z.im})), N=roots.length;
+    for(let it=0; it<maxIt; it++){
+      let moved=false;
+      for(let i=0;i<N;i++){
+        const zi=roots[i], {p,dp}=evalPD(zi);
+        if(p.re===0 && p.im===0) continue;
+        const ratio=Cx.div(p,dp);
+        let sumInv={re:0,im:0};
+        for(let j=0;j<N;j++) if(j!==i) sumInv=Cx.add(sumInv, Cx.div({re:1,im:0}, Cx.sub(zi,roots[j])));
+        const delta=Cx.div(ratio, Cx.sub({re:1,im:0}, Cx.mul(ratio,sumInv)));
+        roots[i]=Cx.sub(zi,delta);
+        if(Cx.abs(delta)>tol*Math.max(1,Cx.abs(zi))) moved=true;
+      }
+      if(!moved) break;
+    }
+    return roots;
+  }
+
   static dkScaled(raw){
     let i0=0; while(i0<raw.length-1 && Math.abs(raw[i0])<1e-18) i0++;
     const poly=raw.slice(i0);
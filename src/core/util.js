@@ -7,14 +7,14 @@ export function linspace(a,b,n){
   return out;
 }
 
+// Each step between neighbours is taken modulo 2π into [-π, π], so any number of wraps accumulates
 export function unwrapPhase(phRad){
   const out=[...phRad];
-  for(let pass=0; pass<2; pass++){
-    for(let i=1;i<out.length;i++){
-      const d=out[i]-out[i-1];
-      if(d>Math.PI) out[i]-=TAU;
-      if(d<-Math.PI) out[i]+=TAU;
-    }
+  for(let i=1;i<out.length;i++){
+    let d=(phRad[i]-phRad[i-1])%TAU;
+    if(d>Math.PI) d-=TAU;
+    if(d<-Math.PI) d+=TAU;
+    out[i]=out[i-1]+d;
   }
   return out;
 }
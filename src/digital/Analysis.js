@@ -0,0 +1,40 @@
+// Stability and phase classification from poles/zeros and FIR tap symmetry
+// Roots within tol of the unit circle count as "on" it
+import { Cx } from "../core/Complex.js";
+
+function radii(roots){ return roots.map(r=>Cx.abs(r)); }
+
+export class Analysis {
+  // Stable when every pole is strictly inside the unit circle; poles on it make the filter marginally stable
+  static stability(poles, tol=1e-8){
+    const r=radii(poles), maxPoleRadius=r.length ? Math.max(...r) : 0;
+    const outside=poles.filter((_,i)=>r[i]>1+tol), onCircle=poles.filter((_,i)=>Math.abs(r[i]-1)<=tol);
+    return { stable:maxPoleRadius<1-tol, marginal:!outside.length && onCircle.length>0, maxPoleRadius, unstablePoles:outside, polesOnCircle:onCircle };
+  }
+
+  // Zeros inside the unit circle (minimum) or outside it (maximum); zeros on the circle are allowed in both, and the
+  // filter must be stable. Mixed phase otherwise. Zeros at the origin are pure delays and are left out
+  static phase(zeros, poles, tol=1e-8){
+    const all=radii(zeros), r=all.filter(v=>v>tol), { stable } = Analysis.stability(poles, tol);
+    const inside=r.filter(v=>v<1-tol).length, outside=r.filter(v=>v>1+tol).length, onCircle=r.length-inside-outside;
+    const minimumPhase=stable && outside===0, maximumPhase=stable && inside===0;
+    return {
+      minimumPhase, maximumPhase, stable,
+      phase: minimumPhase ? 'minimum' : maximumPhase ? 'maximum' : stable ? 'mixed' : 'unstable',
+      zerosInside:inside, zerosOutside:outside, zerosOnCircle:onCircle, zerosAtOrigin:all.length-r.length,
+      minZeroRadius:r.length ? Math.min(...r) : 0, maxZeroRadius:r.length ? Math.max(...r) : 0
+    };
+  }
+
+  // Type I/II: symmetric taps (odd/even length); Type III/IV: antisymmetric taps (odd/even length)
+  static linearPhase(taps, tol=1e-8){
+    const M=taps.length, scale=Math.max(0, ...Array.from(taps, Math.abs)) || 1;
+    let sym=0, anti=0;
+    for(let n=0;n<M;n++){ sym=Math.max(sym, Math.abs(taps[n]-taps[M-1-n])); anti=Math.max(anti, Math.abs(taps[n]+taps[M-1-n])); }
+    sym/=scale; anti/=scale;
+    const odd=M%2===1, delay=(M-1)/2;
+    if(sym<=tol) return { linear:true, type:odd ? 1 : 2, symmetry:'symmetric', delay, deviation:sym };
+    if(anti<=tol) return { linear:true, type:odd ? 3 : 4, symmetry:'antisymmetric', delay, deviation:anti };
+    return { linear:false, type:null, symmetry:null, delay:null, deviation:Math.min(sym, anti) };
+  }
+}
@@ -0,0 +1,93 @@
+// Conversions between transfer function {b, a}, zeros/poles/gain, second-order sections and state space
+// Transfer functions use negative powers of z: H(z) = (b[0] + b[1] z^-1 + ...) / (a[0] + a[1] z^-1 + ...).
+// ZPK is H(z) = k * prod(z - z_i) / prod(z - p_j); fewer zeros than poles means a pure delay.
+// State space is single-input single-output: x[n+1] = A x[n] + B u[n], y[n] = C x[n] + D u[n], with B and C as vectors.
+import { Poly } from "../core/Polynomial.js";
+import { Roots } from "../core/Roots.js";
+import { SOS } from "./SOS.js";
+
+function trimTrailing(c){ let n=c.length; while(n>1 && c[n-1]===0) n--; return c.slice(0, n); }
+function leadIdx(c){ const big=Math.max(0, ...c.map(Math.abs)); let i=0; while(i<c.length-1 && Math.abs(c[i])<=1e-14*big) i++; return i; }
+
+function checkTF(b, a){
+  if(!b.length || !a.length) throw new Error('transfer function needs non-empty b and a');
+  if(!a[0]) throw new Error('a[0] must be nonzero');
+}
+
+// Characteristic polynomial det(zI - M), highest power first (Faddeev-LeVerrier)
+function charPoly(M){
+  const n=M.length, c=[1];
+  let Mk=M.map(r=>r.map(()=>0)); // M_0 = 0
+  for(let k=1;k<=n;k++){
+    const prev=Mk, cPrev=c[k-1];
+    Mk=M.map((row,i)=>row.map((_,j)=>{ let s=0; for(let l=0;l<n;l++) s+=M[i][l]*prev[l][j]; return s+(i===j ? cPrev : 0); }));
+    let tr=0; for(let i=0;i<n;i++){ let s=0; for(let l=0;l<n;l++) s+=M[i][l]*Mk[l][i]; tr+=s; }
+    c.push(-tr/k);
+  }
+  return c;
+}
+
+export class Convert {
+  static tf2zpk(b, a){
+    checkTF(b, a);
+    const lb=leadIdx(b);
+    const k=b[lb]/a[0];
+    // Both sides as polynomials in z: extra length on one side puts roots at the origin of the other
+    const z=Roots.polyRoots(b), p=Roots.polyRoots(a);
+    for(let i=b.length;i<a.length;i++) z.push({re:0,im:0});
+    for(let i=a.length;i<b.length;i++) p.push({re:0,im:0});
+    return { z, p, k };
+  }
+
+  static zpk2tf(z, p, k){
+    if(z.length>p.length) throw new Error('more zeros than poles is not causal');
+    const b=Poly.fromRoots(z).map(v=>v*k);
+    return { b:new Array(p.length-z.length).fill(0).concat(b), a:Poly.fromRoots(p) };
+  }
+
+  static sos2tf(sections){
+    let b=[1], a=[1];
+    for(const s of sections){ b=Poly.mul(b, s.b); a=Poly.mul(a, s.a); }
+    return { b:trimTrailing(b), a:trimTrailing(a) };
+  }
+
+  // opts as in SOS.fromZPK ({pairing, order, scale})
+  // Leading zeros of b are delays: zeros at the origin stand in for them while pairing (see SOS.delay)
+  static tf2sos(b, a, opts){
+    const { z, p, k } = Convert.tf2zpk(b, a), delay=p.length-z.length;
+    return SOS.delay(SOS.fromZPK(z.concat(Array.from({length:delay}, ()=>({re:0,im:0}))), p, k, opts), delay);
+  }
+
+  static zpk2sos(z, p, k, opts){ return SOS.fromZPK(z, p, k, opts); }
+
+  static sos2zpk(sections){
+    const z=[], p=[]; let k=1;
+    for(const s of sections){
+      const r=Convert.tf2zpk(s.b, s.a);
+      z.push(...r.z); p.push(...r.p); k*=r.k;
+    }
+    return { z, p, k };
+  }
+
+  // Controller canonical form
+  static tf2ss(b, a){
+    checkTF(b, a);
+    const L=Math.max(b.length, a.length);
+    const num=b.concat(new Array(L-b.length).fill(0)).map(v=>v/a[0]);
+    const den=a.concat(new Array(L-a.length).fill(0)).map(v=>v/a[0]);
+    const n=L-1, D=num[0];
+    if(n===0) return { A:[], B:[], C:[], D };
+    const A=Array.from({length:n}, (_,i)=>Array.from({length:n}, (_,j)=> i===0 ? (-den[j+1] || 0) : (j===i-1 ? 1 : 0)));
+    const B=Array.from({length:n}, (_,i)=>i===0 ? 1 : 0);
+    const C=Array.from({length:n}, (_,j)=>num[j+1]-num[0]*den[j+1]);
+    return { A, B, C, D };
+  }
+
+  static ss2tf(A, B, C, D=0){
+    const n=A.length;
+    if(B.length!==n || C.length!==n || A.some(r=>r.length!==n)) throw new Error('state space needs A (n x n), B (n) and C (n)');
+    const a=charPoly(A);
+    const b=Poly.add(charPoly(A.map((row,i)=>row.map((v,j)=>v-B[i]*C[j]))), a.map(v=>v*(D-1)));
+    return { b, a };
+  }
+}
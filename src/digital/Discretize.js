@@ -0,0 +1,111 @@
+// Analog-to-digital mappings other than the bilinear transform: impulse invariance and matched-z
+// Both take an analog zpk (s-plane zeros, poles, gain k) and return {zeros, poles, gain} for SOS.fromZPK
+import { Cx } from "../core/Complex.js";
+import { Roots } from "../core/Roots.js";
+
+const ZERO={re:0,im:0}, ONE={re:1,im:0};
+
+// Polynomials below are ascending coefficient arrays of complex numbers
+function pmul(a, b, n=a.length+b.length-1){
+  const r=Array.from({length:n}, ()=>ZERO);
+  for(let i=0;i<a.length && i<n;i++) for(let j=0;j<b.length && i+j<n;j++) r[i+j]=Cx.add(r[i+j], Cx.mul(a[i], b[j]));
+  return r;
+}
+function padd(a, b){ return Array.from({length:Math.max(a.length, b.length)}, (_,i)=>Cx.add(a[i]??ZERO, b[i]??ZERO)); }
+function ppow(a, r){ let p=[ONE]; for(let i=0;i<r;i++) p=pmul(p, a); return p; }
+
+function expT(s, T){ const e=Math.exp(s.re*T); return {re:e*Math.cos(s.im*T), im:e*Math.sin(s.im*T)}; }
+
+// Distinct poles with multiplicity; poles closer than tol (relative) count as repeated
+function groupPoles(poles, tol=1e-8){
+  const groups=[];
+  for(const p of poles){
+    const g=groups.find(g=>Cx.abs(Cx.sub(g.p, p))<=tol*Math.max(1, Cx.abs(p)));
+    if(g) g.r++; else groups.push({p, r:1});
+  }
+  return groups;
+}
+
+// Eulerian numbers E(K, i), i = 0..K-1: sum_n n^K w^n = w * sum_i E(K,i) w^i / (1-w)^(K+1)
+function eulerian(K){
+  let row=[1];
+  for(let k=2;k<=K;k++){
+    const next=new Array(k).fill(0);
+    for(let i=0;i<k;i++) next[i]=(i+1)*(row[i]??0)+(k-i)*(row[i-1]??0);
+    row=next;
+  }
+  return row;
+}
+
+export class Discretize {
+  // Partial fractions of H(s) = k prod(s - z) / prod(s - p): per distinct pole p of multiplicity r, A[m-1] (m = 1..r) is the
+  // coefficient of 1/(s-p)^m, so h(t) = direct*δ(t) + sum A[m-1] t^(m-1) e^(pt)/(m-1)!
+  static residues(zeros, poles, k=1){
+    if(zeros.length>poles.length) throw new Error('partial fractions need at least as many poles as zeros');
+    const groups=groupPoles(poles);
+    const terms=groups.map((g, gi)=>{
+      // Taylor series of (s-p)^r H(s) around p, in t = s-p, up to t^(r-1)
+      let G=[{re:k,im:0}];
+      for(const z of zeros) G=pmul(G, [Cx.sub(g.p, z), ONE], g.r);
+      groups.forEach((q, qi)=>{
+        if(qi===gi) return;
+        const c=Cx.sub(g.p, q.p), inv=[]; let t=Cx.div(ONE, c);
+        for(let n=0;n<g.r;n++){ inv.push(t); t=Cx.div({re:-t.re, im:-t.im}, c); }
+        for(let i=0;i<q.r;i++) G=pmul(G, inv, g.r);
+      });
+      return { p:g.p, r:g.r, A:Array.from({length:g.r}, (_,m)=>G[g.r-1-m] ?? ZERO) };
+    });
+    return { terms, direct:zeros.length===poles.length ? k : 0 };
+  }
+
+  // Sampled impulse response h[n] = T*h_a(nT) (plus the direct term at n=0), from the residues.
+  // When h_a(0) = 0 (relative degree above one) h[0] = 0: the zpk then has fewer zeros than poles, one per sample of delay
+  // as in Convert.zpk2tf (SOS.fromZPK pads them with zeros at the origin instead, so the designer adds the delay back)
+  static impulseInvariance(zeros, poles, k=1, Fs=1){
+    if(zeros.length>poles.length) throw new Error('impulse invariance needs at least as many poles as zeros');
+    const T=1/Fs, { terms:groups, direct:D } = Discretize.residues(zeros, poles, k);
+    const factor=g=>ppow([ONE, {re:-expT(g.p,T).re, im:-expT(g.p,T).im}], g.r); // (1 - a z^-1)^r
+    let num=[ZERO];
+    groups.forEach((g, gi)=>{
+      const a=expT(g.p, T);
+      let others=[ONE]; groups.forEach((q, qi)=>{ if(qi!==gi) others=pmul(others, factor(q)); });
+      let fact=1;
+      for(let m=1;m<=g.r;m++){
+        const K=m-1; if(K>0) fact*=K;
+        const A=g.A[m-1], c=Math.pow(T, m)/fact;
+        // z-transform of n^K a^n over (1 - a z^-1)^(K+1)
+        let tn;
+        if(K===0) tn=[ONE];
+        else { tn=[ZERO]; let ai=ONE; eulerian(K).forEach(e=>{ ai=Cx.mul(ai, a); tn.push({re:e*ai.re, im:e*ai.im}); }); }
+        const term=pmul(pmul(tn, ppow([ONE, {re:-a.re, im:-a.im}], g.r-K-1)), others);
+        num=padd(num, term.map(v=>{ const w=Cx.mul(v, A); return {re:w.re*c, im:w.im*c}; }));
+      }
+    });
+    const den=groups.reduce((d, g)=>pmul(d, factor(g)), [ONE]);
+    if(D) num=padd(num, den.map(v=>({re:v.re*D, im:v.im*D})));
+
+    // Numerator in z^-1 -> zeros; leading/trailing coefficients that vanish are delays (missing zeros) / zeros at the origin
+    const b=num.map(v=>v.re), big=Math.max(...b.map(Math.abs)), tiny=1e-12*big;
+    let lo=0, hi=b.length-1;
+    while(lo<hi && Math.abs(b[lo])<=tiny) lo++;
+    while(hi>lo && Math.abs(b[hi])<=tiny) hi--;
+    const zZeros=Roots.aberthMonic(b.slice(lo, hi+1).map(v=>v/b[lo]));
+    while(zZeros.length<poles.length-lo) zZeros.push({re:0,im:0});
+    const zPoles=[]; for(const g of groups){ const a=expT(g.p, T); for(let i=0;i<g.r;i++) zPoles.push(a); }
+    return { zeros:zZeros, poles:zPoles, gain:b[lo] };
+  }
+
+  // z = e^(sT) for poles and finite zeros; zeros at s=∞ go to z=-1 (Nyquist).
+  // Gain makes |H(e^(jωT))| equal |H_a(jω)| at wRef (rad/s, default DC)
+  static matchedZ(zeros, poles, k=1, Fs=1, { wRef=0 }={}){
+    const T=1/Fs, zPoles=poles.map(p=>expT(p, T)), zZeros=zeros.map(z=>expT(z, T));
+    while(zZeros.length<zPoles.length) zZeros.push({re:-1,im:0});
+    const s={re:0,im:wRef}, z=expT(s, T);
+    let Ha={re:k,im:0}, Hd=ONE;
+    for(const q of zeros) Ha=Cx.mul(Ha, Cx.sub(s, q));
+    for(const p of poles) Ha=Cx.div(Ha, Cx.sub(s, p));
+    for(const q of zZeros) Hd=Cx.mul(Hd, Cx.sub(z, q));
+    for(const p of zPoles) Hd=Cx.div(Hd, Cx.sub(z, p));
+    return { zeros:zZeros, poles:zPoles, gain:Cx.abs(Ha)/(Cx.abs(Hd)||1e-300) };
+  }
+}
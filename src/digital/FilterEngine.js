@@ -0,0 +1,192 @@
+// Sample-domain filtering kernels (FIR direct form, SOS cascade in transposed DF-II)
+
+// Extend x by padlen samples on each side (scipy-style odd/even/constant edge padding)
+function padEdges(x, padlen, padtype){
+  const L=x.length, out=new Float64Array(L+2*padlen), x0=x[0], xN=x[L-1];
+  out.set(x, padlen);
+  for(let i=1;i<=padlen;i++){
+    let left, right;
+    if(padtype==='even'){ left=x[i]; right=x[L-1-i]; }
+    else if(padtype==='constant'){ left=x0; right=xN; }
+    else { left=2*x0-x[i]; right=2*xN-x[L-1-i]; }
+    out[padlen-i]=left; out[padlen+L-1+i]=right;
+  }
+  return out;
+}
+
+// pass(signal, firstSample) filters with steady-state initial conditions scaled by firstSample
+function forwardBackward(pass, x, padtype, padlen){
+  const L=x.length;
+  if(padtype!=null && !['odd','even','constant','none'].includes(padtype)) throw new Error(`unknown padtype '${padtype}'`);
+  if(padtype==null || padtype==='none') padlen=0;
+  if(padlen>0 && L<=padlen) throw new Error(`input length ${L} must exceed padlen ${padlen}`);
+  const ext=padEdges(x, padlen, padtype);
+  const fwd=pass(ext, ext[0]).reverse();
+  const bwd=pass(fwd, fwd[0]).reverse();
+  const y=FilterEngine.alloc(x,L);
+  for(let n=0;n<L;n++) y[n]=bwd[padlen+n];
+  return y;
+}
+
+export class FilterEngine {
+  // Output container matching the input: Float32Array stays Float32Array, other typed arrays become Float64Array
+  static alloc(x, n){
+    if(x instanceof Float32Array) return new Float32Array(n);
+    if(ArrayBuffer.isView(x)) return new Float64Array(n);
+    return new Array(n).fill(0);
+  }
+
+  // Indices of the nonzero taps when at least a quarter of them are exactly zero (Nyquist filters, Hilbert transformers),
+  // otherwise null. The FIR kernels below take it as nz and then skip the zero taps
+  static nonzero(taps){
+    const idx=[];
+    for(let k=0;k<taps.length;k++) if(taps[k]!==0) idx.push(k);
+    return 4*(taps.length-idx.length)>=taps.length ? Int32Array.from(idx) : null;
+  }
+
+  // hist holds the last taps.length-1 inputs, oldest first; updated in place. nz: see nonzero()
+  static fir(taps, hist, x, nz){
+    const M=taps.length, H=hist.length, L=x.length, buf=new Float64Array(H+L), y=FilterEngine.alloc(x,L);
+    buf.set(hist); buf.set(x, H);
+    for(let n=0;n<L;n++){
+      const o=n+H; let acc=0;
+      if(nz) for(let j=0;j<nz.length;j++){ const k=nz[j]; acc+=taps[k]*buf[o-k]; }
+      else for(let k=0;k<M;k++) acc+=taps[k]*buf[o-k];
+      y[n]=acc;
+    }
+    if(H) hist.set(buf.subarray(L));
+    return y;
+  }
+
+  // Keeps every M-th output of the FIR: the polyphase sum evaluated directly, taps/M multiply-adds per input sample.
+  // state {hist: last taps.length-1 inputs (oldest first), phase: inputs to skip before the next kept output}; updated in place
+  static firDecimate(taps, M, state, x, nz){
+    const N=taps.length, H=state.hist.length, L=x.length, buf=new Float64Array(H+L);
+    buf.set(state.hist); buf.set(x, H);
+    const count=state.phase<L ? Math.ceil((L-state.phase)/M) : 0, y=FilterEngine.alloc(x, count);
+    for(let i=0, o=state.phase+H; i<count; i++, o+=M){
+      let acc=0;
+      if(nz) for(let j=0;j<nz.length;j++){ const k=nz[j]; acc+=taps[k]*buf[o-k]; }
+      else for(let k=0;k<N;k++) acc+=taps[k]*buf[o-k];
+      y[i]=acc;
+    }
+    state.phase+=count*M-L;
+    if(H) state.hist.set(buf.subarray(L));
+    return y;
+  }
+
+  // Polyphase interpolation by L: each input x[n] yields y[nL+k] = sum_j taps[jL+k] x[n-j], k = 0..L-1, so the zeros
+  // of the upsampled signal are never multiplied. hist holds the last ceil(taps.length/L)-1 inputs, oldest first; updated in place
+  static firInterpolate(taps, L, hist, x, nz){
+    const N=taps.length, H=hist.length, n=x.length, buf=new Float64Array(H+n), y=FilterEngine.alloc(x, n*L);
+    buf.set(hist); buf.set(x, H);
+    // With nz, each phase k only visits its own nonzero taps m = jL + k
+    const phases=nz && Array.from({length:L}, (_,k)=>Int32Array.from(Array.prototype.filter.call(nz, m=>m%L===k)));
+    for(let i=0;i<n;i++){
+      const o=i+H;
+      for(let k=0;k<L;k++){
+        let acc=0;
+        if(phases){ const ph=phases[k]; for(let q=0;q<ph.length;q++){ const m=ph[q]; acc+=taps[m]*buf[o-(m-k)/L]; } }
+        else for(let m=k, j=0; m<N; m+=L, j++) acc+=taps[m]*buf[o-j];
+        y[i*L+k]=acc;
+      }
+    }
+    if(H) hist.set(buf.subarray(n));
+    return y;
+  }
+
+  // Rational resampling in polyphase form: an output at upsampled position t = n0*L + φ is sum_j taps[φ+jL] x[n0-j], then t
+  // advances by M. state {hist: last ceil(taps.length/L)-1 inputs (oldest first), t: next output position relative to x[0]}; updated in place
+  static firResample(taps, L, M, state, x){
+    const N=taps.length, H=state.hist.length, n=x.length, buf=new Float64Array(H+n);
+    buf.set(state.hist); buf.set(x, H);
+    const count=state.t<n*L ? Math.ceil((n*L-state.t)/M) : 0, y=FilterEngine.alloc(x, count);
+    for(let i=0, t=state.t; i<count; i++, t+=M){
+      const n0=Math.floor(t/L), o=H+n0;
+      let acc=0;
+      for(let m=t-n0*L, j=0; m<N; m+=L, j++) acc+=taps[m]*buf[o-j];
+      y[i]=acc;
+    }
+    state.t+=count*M-n*L;
+    if(H) state.hist.set(buf.subarray(n));
+    return y;
+  }
+
+  // Variable fractional delay (Farrow): y = sum_m d^m sum_n C[m][n] x[k-s-n], the kernel starting s whole samples back so the
+  // local delay d = D - s stays near its centre. delay is one D per block or per sample, within [0, maxDelay];
+  // hist holds the last floor(max(0, maxDelay - (N-1)/2)) + N inputs (N = C[0].length - 1), updated in place
+  static farrow(C, hist, x, delay, maxDelay){
+    const N=C[0].length-1, P=C.length-1, H=hist.length, n=x.length, buf=new Float64Array(H+n), y=FilterEngine.alloc(x, n);
+    const sMax=H-N, perSample=typeof delay!=='number';
+    buf.set(hist); buf.set(x, H);
+    for(let i=0;i<n;i++){
+      const D=perSample ? delay[i] : delay;
+      if(!(D>=0 && D<=maxDelay)) throw new Error(`fractional delay ${D} outside [0, ${maxDelay}]`);
+      const s=Math.min(sMax, Math.max(0, Math.floor(D-(N-1)/2))), d=D-s, o=H+i-s;
+      let acc=0;
+      for(let m=P;m>=0;m--){
+        const c=C[m]; let v=0;
+        for(let k=0;k<=N;k++) v+=c[k]*buf[o-k];
+        acc=acc*d+v;
+      }
+      y[i]=acc;
+    }
+    if(H) hist.set(buf.subarray(n));
+    return y;
+  }
+
+  // state holds [z1,z2] per section (length 2*sections.length); updated in place
+  static sos(sections, state, x){
+    const L=x.length, buf=new Float64Array(L), y=FilterEngine.alloc(x,L);
+    buf.set(x);
+    for(let s=0;s<sections.length;s++){
+      const a0=sections[s].a[0]||1;
+      const b0=sections[s].b[0]/a0, b1=sections[s].b[1]/a0, b2=sections[s].b[2]/a0;
+      const a1=sections[s].a[1]/a0, a2=sections[s].a[2]/a0;
+      let z1=state[2*s], z2=state[2*s+1];
+      for(let n=0;n<L;n++){
+        const xn=buf[n], yn=b0*xn+z1;
+        z1=b1*xn-a1*yn+z2; z2=b2*xn-a2*yn;
+        buf[n]=yn;
+      }
+      state[2*s]=z1; state[2*s+1]=z2;
+    }
+    for(let n=0;n<L;n++) y[n]=buf[n];
+    return y;
+  }
+
+  // Steady-state [z1,z2] per section for a unit step, each scaled by the DC gain of the sections before it
+  static sosZi(sections){
+    const zi=new Float64Array(2*sections.length); let scale=1;
+    for(let s=0;s<sections.length;s++){
+      const a0=sections[s].a[0]||1;
+      const b0=sections[s].b[0]/a0, b1=sections[s].b[1]/a0, b2=sections[s].b[2]/a0;
+      const a1=sections[s].a[1]/a0, a2=sections[s].a[2]/a0;
+      const G=(b0+b1+b2)/((1+a1+a2)||1e-300);
+      const z2=b2-a2*G, z1=b1-a1*G+z2;
+      zi[2*s]=scale*z1; zi[2*s+1]=scale*z2;
+      scale*=G;
+    }
+    return zi;
+  }
+
+  // Direct-form FIR state is the input history, so the unit-step steady state is all ones
+  static firZi(taps){ return new Float64Array(Math.max(0, taps.length-1)).fill(1); }
+
+  // Zero-phase forward-backward filtering (sosfiltfilt)
+  static sosfiltfilt(sections, x, { padtype='odd', padlen }={}){
+    if(padlen==null){
+      let nt=2*sections.length+1;
+      nt-=Math.min(sections.filter(s=>s.b[2]===0).length, sections.filter(s=>s.a[2]===0).length);
+      padlen=3*nt;
+    }
+    const zi=FilterEngine.sosZi(sections);
+    return forwardBackward((sig, x0)=>FilterEngine.sos(sections, zi.map(v=>v*x0), sig), x, padtype, padlen);
+  }
+
+  // Zero-phase forward-backward filtering (filtfilt) for taps; steady state is a history full of x0
+  static firfiltfilt(taps, x, { padtype='odd', padlen=3*taps.length }={}){
+    const zi=FilterEngine.firZi(taps), nz=FilterEngine.nonzero(taps);
+    return forwardBackward((sig, x0)=>FilterEngine.fir(taps, zi.map(v=>v*x0), sig, nz), x, padtype, padlen);
+  }
+}
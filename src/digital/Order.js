@@ -0,0 +1,169 @@
+// Minimum-order estimation from passband/stopband specifications
+// wp, ws: edges in Hz (scalars for lowpass/highpass, [lo, hi] for bandpass/bandstop); Rp: max passband loss, Rs: min stopband attenuation (dB)
+import { Elliptic } from "../core/Elliptic.js";
+import { Cx } from "../core/Complex.js";
+import { Prototypes } from "../analog/Prototypes.js";
+import { Windows } from "../fir/Windows.js";
+
+function classify(wp, ws){
+  if(!Array.isArray(wp)){
+    if(Array.isArray(ws)) throw new Error('wp and ws must both be scalars or both be [lo, hi]');
+    if(wp===ws) throw new Error('wp and ws must differ');
+    return wp<ws ? 'lowpass' : 'highpass';
+  }
+  if(!Array.isArray(ws) || wp.length!==2 || ws.length!==2) throw new Error('wp and ws must both be scalars or both be [lo, hi]');
+  if(ws[0]<wp[0] && ws[1]>wp[1]) return 'bandpass';
+  if(ws[0]>wp[0] && ws[1]<wp[1]) return 'bandstop';
+  throw new Error('band edges must nest: stopband outside passband (bandpass) or inside it (bandstop)');
+}
+
+function bandstopNat(passb, stopb){ return Math.min(...stopb.map(s=>Math.abs(s*(passb[0]-passb[1])/(s*s-passb[0]*passb[1])))); }
+
+// Golden-section search for the maximum of f on [a, b]
+function maximize(f, a, b){
+  const g=(Math.sqrt(5)-1)/2;
+  let x1=b-g*(b-a), x2=a+g*(b-a), f1=f(x1), f2=f(x2);
+  for(let i=0;i<200 && b-a>1e-12*Math.max(1, Math.abs(b)); i++){
+    if(f1<f2){ a=x1; x1=x2; f1=f2; x2=a+g*(b-a); f2=f(x2); }
+    else { b=x2; x2=x1; f2=f1; x1=b-g*(b-a); f1=f(x1); }
+  }
+  return (a+b)/2;
+}
+
+// Prewarped edges (tan scale) and the lowpass-equivalent selectivity ratio. For bandstop, each passband edge is moved
+// towards its stopband edge where that raises the ratio (SciPy's band_stop_obj): every order formula falls as the
+// ratio grows, so this gives the minimum order, and the moved edges are the ones the design should use
+function prewarped(wp, ws, Fs){
+  const kind=classify(wp, ws), tw=f=>Math.tan(Math.PI*f/Fs);
+  const passb=Array.isArray(wp) ? wp.map(tw) : tw(wp), stopb=Array.isArray(ws) ? ws.map(tw) : tw(ws);
+  let nat;
+  switch(kind){
+    case 'lowpass': nat=stopb/passb; break;
+    case 'highpass': nat=passb/stopb; break;
+    case 'bandpass': nat=Math.min(...stopb.map(s=>Math.abs((s*s-passb[0]*passb[1])/(s*(passb[0]-passb[1]))))); break;
+    default:
+      passb[0]=maximize(w=>bandstopNat([w, passb[1]], stopb), passb[0], stopb[0]-1e-12);
+      passb[1]=maximize(w=>bandstopNat([passb[0], w], stopb), stopb[1]+1e-12, passb[1]);
+      nat=bandstopNat(passb, stopb);
+  }
+  return { kind, passb, nat };
+}
+
+// Passband edges back in Hz: the given wp, or the optimized bandstop edges
+function passEdges(kind, wp, passb, Fs){ return kind==='bandstop' ? passb.map(v=>Math.atan(v)*Fs/Math.PI) : wp; }
+
+// Edges (Hz) where the prototype frequency 1/W0 lands, given the passband edges map to prototype frequency 1
+function naturalEdges(kind, passb, W0, Fs){
+  let WN;
+  if(kind==='lowpass') WN=W0*passb;
+  else if(kind==='highpass') WN=passb/W0;
+  else if(kind==='bandstop'){
+    const d=passb[1]-passb[0], disc=Math.sqrt(d*d+4*W0*W0*passb[0]*passb[1]);
+    WN=[Math.abs((d+disc)/(2*W0)), Math.abs((d-disc)/(2*W0))].sort((a,b)=>a-b);
+  } else {
+    const d=passb[1]-passb[0];
+    WN=[-W0, W0].map(w=>Math.abs(-w*d/2+Math.sqrt(w*w/4*d*d+passb[0]*passb[1]))).sort((a,b)=>a-b);
+  }
+  const toHz=v=>Math.atan(v)*Fs/Math.PI;
+  return Array.isArray(WN) ? WN.map(toHz) : toHz(WN);
+}
+
+// Analog magnitude of an all-pole prototype, normalized to unity at DC
+function allPoleMag(poles, w){
+  let num={re:1,im:0}, den={re:1,im:0};
+  for(const p of poles){ num=Cx.mul(num, {re:-p.re, im:-p.im}); den=Cx.mul(den, {re:-p.re, im:w-p.im}); }
+  return Cx.abs(num)/Cx.abs(den);
+}
+
+export class Order {
+  static buttord(wp, ws, Rp, Rs, Fs){
+    const { kind, passb, nat } = prewarped(wp, ws, Fs);
+    const GP=Math.pow(10, Rp/10), GS=Math.pow(10, Rs/10);
+    const N=Math.max(1, Math.ceil(Math.log10((GS-1)/(GP-1))/(2*Math.log10(nat))));
+    return { N, Wn:naturalEdges(kind, passb, Math.pow(GP-1, -1/(2*N)), Fs), kind };
+  }
+
+  static cheb1ord(wp, ws, Rp, Rs, Fs){
+    const { kind, passb, nat } = prewarped(wp, ws, Fs);
+    const GP=Math.pow(10, Rp/10), GS=Math.pow(10, Rs/10);
+    const N=Math.max(1, Math.ceil(Math.acosh(Math.sqrt((GS-1)/(GP-1)))/Math.acosh(nat)));
+    return { N, Wn:passEdges(kind, wp, passb, Fs), kind };
+  }
+
+  // Wn are the stopband edges that the cheby2 design expects
+  static cheb2ord(wp, ws, Rp, Rs, Fs){
+    const { kind, passb, nat } = prewarped(wp, ws, Fs);
+    const GP=Math.pow(10, Rp/10), GS=Math.pow(10, Rs/10);
+    const N=Math.max(1, Math.ceil(Math.acosh(Math.sqrt((GS-1)/(GP-1)))/Math.acosh(nat)));
+    const nf=1/Math.cosh(Math.acosh(Math.sqrt((GS-1)/(GP-1)))/N);
+    let WN;
+    if(kind==='lowpass') WN=passb/nf;
+    else if(kind==='highpass') WN=passb*nf;
+    else if(kind==='bandstop'){
+      const a=nf/2*(passb[0]-passb[1])+Math.sqrt(nf*nf*Math.pow(passb[1]-passb[0],2)/4+passb[1]*passb[0]);
+      WN=[a, passb[0]*passb[1]/a].sort((x,y)=>x-y);
+    } else {
+      const a=(passb[0]-passb[1])/(2*nf)+Math.sqrt(Math.pow(passb[1]-passb[0],2)/(4*nf*nf)+passb[1]*passb[0]);
+      WN=[a, passb[0]*passb[1]/a].sort((x,y)=>x-y);
+    }
+    const toHz=v=>Math.atan(v)*Fs/Math.PI;
+    return { N, Wn:Array.isArray(WN) ? WN.map(toHz) : toHz(WN), kind };
+  }
+
+  static ellipord(wp, ws, Rp, Rs, Fs){
+    const { kind, passb, nat } = prewarped(wp, ws, Fs);
+    const GP=Math.pow(10, Rp/10), GS=Math.pow(10, Rs/10);
+    const m0=1/(nat*nat), m1=(GP-1)/(GS-1);
+    const N=Math.max(1, Math.ceil(Elliptic.K(m0)*Elliptic.Kc(m1)/(Elliptic.Kc(m0)*Elliptic.K(m1))));
+    return { N, Wn:passEdges(kind, wp, passb, Fs), kind };
+  }
+
+  // Linkwitz-Riley (squared Butterworth): |H| = 1/(1+w^N), N even; Wn are the -6 dB points
+  static linkwitzord(wp, ws, Rp, Rs, Fs){
+    const { kind, passb, nat } = prewarped(wp, ws, Fs);
+    const gp=Math.pow(10, Rp/20)-1, gs=Math.pow(10, Rs/20)-1;
+    let N=Math.max(2, Math.ceil(Math.log(gs/gp)/Math.log(nat))); if(N%2) N++;
+    return { N, Wn:naturalEdges(kind, passb, Math.pow(gp, -1/N), Fs), kind };
+  }
+
+  // No closed form: smallest order whose prototype meets the spec, searched up to maxN
+  static besselord(wp, ws, Rp, Rs, Fs, { maxN=50, norm='mag', proto=(N)=>Prototypes.bessel(N, norm) }={}){
+    const { kind, passb, nat } = prewarped(wp, ws, Fs);
+    const gp=Math.pow(10, -Rp/20), gs=Math.pow(10, -Rs/20);
+    for(let N=1;N<=maxN;N++){
+      const poles=proto(N).poles;
+      let lo=0, hi=1; while(allPoleMag(poles, hi)>gp && hi<1e6) hi*=2;
+      for(let i=0;i<100;i++){ const mid=(lo+hi)/2; if(allPoleMag(poles, mid)>gp) lo=mid; else hi=mid; }
+      const wpProto=(lo+hi)/2;
+      if(allPoleMag(poles, wpProto*nat)<=gs) return { N, Wn:naturalEdges(kind, passb, 1/wpProto, Fs), kind };
+    }
+    throw new Error(`besselord: specification needs an order above ${maxN}`);
+  }
+
+  // Dispatch by IIRDesigner family; returns {N, Wn, kind}
+  static iir(family, wp, ws, Rp, Rs, Fs, opts){
+    switch(family){
+      case 'butter': return Order.buttord(wp, ws, Rp, Rs, Fs);
+      case 'cheby1': return Order.cheb1ord(wp, ws, Rp, Rs, Fs);
+      case 'cheby2': return Order.cheb2ord(wp, ws, Rp, Rs, Fs);
+      case 'ellip':
+      case 'ellipHybrid': return Order.ellipord(wp, ws, Rp, Rs, Fs);
+      case 'linkwitz': return Order.linkwitzord(wp, ws, Rp, Rs, Fs);
+      case 'bessel': return Order.besselord(wp, ws, Rp, Rs, Fs, opts);
+      default: return Order.buttord(wp, ws, Rp, Rs, Fs);
+    }
+  }
+
+  // Kaiser-window FIR: taps (odd) and beta for attenuation Rs (and passband ripple Rp) over the narrowest transition
+  static kaiserord(wp, ws, Rp, Rs, Fs){
+    const kind=classify(wp, ws);
+    const a=Array.isArray(wp) ? wp : [wp], b=Array.isArray(ws) ? ws : [ws];
+    const width=Math.min(...a.map((f,i)=>Math.abs(f-b[i])));
+    const dp=Rp!=null ? (Math.pow(10, Rp/20)-1)/(Math.pow(10, Rp/20)+1) : Infinity;
+    const A=-20*Math.log10(Math.min(Math.pow(10, -Rs/20), dp));
+    const beta=Windows.kaiserBeta(A);
+    let taps=Math.ceil((A-7.95)/2.285/(2*Math.PI*width/Fs)+1); if(taps%2===0) taps++;
+    const cut=a.map((f,i)=>(f+b[i])/2);
+    return { taps, beta, Wn:Array.isArray(wp) ? cut : cut[0], kind, attenuation:A };
+  }
+}
@@ -1,6 +1,46 @@
 // Digital filter response calculations
 import { Cx } from "../core/Complex.js";
-import { unwrapPhase } from "../core/util.js";
+import { unwrapPhase, linspace } from "../core/util.js";
+import { FFT } from "../core/FFT.js";
+
+const asCx=c=>typeof c==='number' ? {re:c, im:0} : c;
+// sum c[n] e^{-jwn} for real or complex ({re, im}) coefficients
+function evalNeg(c, w){
+  let re=0, im=0;
+  for(let n=0;n<c.length;n++){
+    const v=asCx(c[n]), cs=Math.cos(w*n), sn=-Math.sin(w*n);
+    re+=v.re*cs-v.im*sn; im+=v.re*sn+v.im*cs;
+  }
+  return {re, im};
+}
+
+const SINGULAR=1e-9;
+const sumAbs=c=>{ let s=0; for(const v of c) s+=Math.abs(v); return s; };
+
+// Group delay of one polynomial in z^-1, Re{ sum n c[n] e^{-jwn} / sum c[n] e^{-jwn} }; NaN where it vanishes
+function polyDelay(c, w){
+  let dr=0, di=0, nr=0, ni=0, scale=0;
+  for(let n=0;n<c.length;n++){
+    const v=asCx(c[n]), cs=Math.cos(w*n), sn=-Math.sin(w*n), tr=v.re*cs-v.im*sn, ti=v.re*sn+v.im*cs;
+    dr+=tr; di+=ti; nr+=n*tr; ni+=n*ti; scale+=Cx.abs(v);
+  }
+  const d2=dr*dr+di*di;
+  return d2<=Math.pow(SINGULAR*scale, 2) ? NaN : (nr*dr+ni*di)/d2;
+}
+
+// At a zero (or pole) on the unit circle the phase jumps by π and the delay is a Dirac; report the limit from either side instead
+function limitAt(gd, w){
+  const g=gd(w);
+  if(!Number.isNaN(g)) return g;
+  for(const d of [1e-4, 1e-3, 1e-2]){ const a=gd(w-d), b=gd(w+d); if(!Number.isNaN(a) && !Number.isNaN(b)) return (a+b)/2; }
+  return 0;
+}
+
+// Group delay of c on the frequencyGrid points from the transforms of c and n c[n]
+function gridDelay(c, Nf){
+  const D=FFT.dtftGrid(c, Nf), N=FFT.dtftGrid(Array.from(c, (v,n)=>n*v), Nf), tol=Math.pow(SINGULAR*sumAbs(c), 2);
+  return Array.from(D.re, (dr,i)=>{ const di=D.im[i], d2=dr*dr+di*di; return d2<=tol ? NaN : (N.re[i]*dr+N.im[i]*di)/d2; });
+}
 
 export class Response {
   static H_w_IIR(sections,w){
@@ -21,6 +61,34 @@ export class Response {
     for(let n=0;n<taps.length;n++){ re += taps[n]*Math.cos(w*n); im -= taps[n]*Math.sin(w*n); }
     return {re, im};
   }
+  // H at the frequencyGrid points w = πi/(Nf-1) (see FFT.dtftGrid); IIR multiplies the per-section numerator/denominator ratios
+  static gridFIR(taps, Nf){ const { re, im } = FFT.dtftGrid(taps, Nf); return Array.from(re, (r,i)=>({re:r, im:im[i]})); }
+  static gridIIR(sections, Nf){
+    const hr=new Float64Array(Nf).fill(1), hi=new Float64Array(Nf);
+    for(const s of sections){
+      const B=FFT.dtftGrid(s.b, Nf), A=FFT.dtftGrid(s.a, Nf);
+      for(let i=0;i<Nf;i++){
+        const d=A.re[i]*A.re[i]+A.im[i]*A.im[i] || 1e-300;
+        const r=(B.re[i]*A.re[i]+B.im[i]*A.im[i])/d, q=(B.im[i]*A.re[i]-B.re[i]*A.im[i])/d;
+        const t=hr[i]*r-hi[i]*q; hi[i]=hr[i]*q+hi[i]*r; hr[i]=t;
+      }
+    }
+    return Array.from(hr, (r,i)=>({re:r, im:hi[i]}));
+  }
+  // Exact group delay in samples (the n·h[n] formula; summed per biquad for IIR), at w or on the frequencyGrid points
+  static groupDelayFIR(taps, w){ return limitAt(wi=>polyDelay(taps, wi), w); }
+  static groupDelayIIR(sections, w){
+    return limitAt(wi=>{ let g=0; for(const s of sections) g+=polyDelay(s.b, wi)-polyDelay(s.a, wi); return g; }, w);
+  }
+  static gridGroupDelayFIR(taps, Nf){
+    const w=linspace(0, Math.PI, Nf);
+    return gridDelay(taps, Nf).map((g,i)=>Number.isNaN(g) ? Response.groupDelayFIR(taps, w[i]) : g);
+  }
+  static gridGroupDelayIIR(sections, Nf){
+    const w=linspace(0, Math.PI, Nf), gd=new Array(Nf).fill(0);
+    for(const s of sections){ const b=gridDelay(s.b, Nf), a=gridDelay(s.a, Nf); for(let i=0;i<Nf;i++) gd[i]+=b[i]-a[i]; }
+    return gd.map((g,i)=>Number.isNaN(g) ? Response.groupDelayIIR(sections, w[i]) : g);
+  }
   static magDbFromH(H){ return 20*Math.log10(Math.max(1e-16, Cx.abs(H))); }
   static unwrapToDeg(phRad){ return unwrapPhase(phRad).map(v=>v*180/Math.PI); }
   static groupDelay(phUnwrappedRad, w){
@@ -42,4 +110,54 @@ export class Response {
     for(let i=1;i<pd.length;i++) if(!Number.isFinite(pd[i])) pd[i]=pd[i-1];
     return pd;
   }
+  // Frequencies in rad/sample from a list (Hz when Fs is given, or with units 'rad') or from
+  // {n=512, whole=false, scale:'linear'|'log', fmin, fmax} (fmin/fmax in the same units as a list).
+  // Linear grids include the Nyquist point; whole grids run over [0, 2π) for complex-coefficient filters
+  static freqPoints(points={}, Fs, units=Fs ? 'hz' : 'rad'){
+    if(units!=='hz' && units!=='rad') throw new Error(`unknown frequency units '${units}'`);
+    if(units==='hz' && !(Fs>0)) throw new Error('frequencies in Hz need a positive Fs');
+    const toW=units==='hz' ? f=>2*Math.PI*f/Fs : f=>f, fromW=units==='hz' ? w=>w*Fs/(2*Math.PI) : w=>w;
+    if(Array.isArray(points) || ArrayBuffer.isView(points)) return Array.from(points, toW);
+    const { n=512, whole=false, scale='linear' } = points;
+    if(!(n>=1 && Number.isInteger(n))) throw new Error('number of frequency points must be a positive integer');
+    const top=whole ? 2*Math.PI : Math.PI;
+    if(scale==='log'){
+      const fmin=points.fmin, fmax=points.fmax ?? fromW(top);
+      if(!(fmin>0 && fmax>fmin)) throw new Error('log-spaced frequencies need 0 < fmin < fmax');
+      if(n===1) return [toW(fmin)];
+      const r=Math.log(fmax/fmin);
+      return Array.from({length:n}, (_,i)=>toW(fmin*Math.exp(r*i/(n-1))));
+    }
+    if(scale!=='linear') throw new Error(`unknown frequency scale '${scale}'`);
+    const wmin=toW(points.fmin ?? 0), wmax=points.fmax!=null ? toW(points.fmax) : top;
+    if(n===1) return [wmin];
+    return whole && points.fmax==null ? Array.from({length:n}, (_,i)=>wmin+(wmax-wmin)*i/n) : linspace(wmin, wmax, n);
+  }
+
+  // Complex response of Hw (w => {re, im}) at the given points (see freqPoints), with magnitude, unwrapped phase
+  // and group delay from gdw (w => samples) or else a central difference of the phase at each point
+  static freqzWith(Hw, points, Fs, units, gdw){
+    const w=Response.freqPoints(points, Fs, units), H=w.map(Hw), dw=1e-6;
+    const mag=H.map(h=>Cx.abs(h)), phRad=unwrapPhase(H.map(h=>Math.atan2(h.im, h.re)));
+    const gdSamples=w.map(wi=>{
+      if(gdw) return gdw(wi);
+      const d=Cx.mul(Hw(wi+dw), Cx.conj(Hw(wi-dw))); return -Math.atan2(d.im, d.re)/(2*dw);
+    });
+    const res={ w, H, mag, magdB:H.map(Response.magDbFromH), phaseRad:phRad, phaseDeg:phRad.map(v=>v*180/Math.PI), gdSamples };
+    if(Fs) res.freqHz=w.map(wi=>wi*Fs/(2*Math.PI));
+    return res;
+  }
+
+  // Transfer function b/a in negative powers of z; coefficients may be complex ({re, im})
+  static freqz(b, a=[1], points={}, Fs, units){
+    if(!b.length || !a.length) throw new Error('transfer function needs non-empty b and a');
+    const gd=w=>limitAt(wi=>polyDelay(b, wi)-polyDelay(a, wi), w);
+    return Response.freqzWith(w=>Cx.div(evalNeg(b, w), evalNeg(a, w)), points, Fs, units, gd);
+  }
+
+  // Effective response of forward-backward filtering: |H|^2 with zero phase and delay
+  static zeroPhaseGrid(grid){
+    const zeros=()=>grid.w.map(()=>0);
+    return { ...grid, magdB:grid.magdB.map(v=>2*v), phaseDeg:zeros(), gdSamples:zeros(), pdSamples:zeros() };
+  }
 }
@@ -1,37 +1,135 @@
 // Second Order Sections
 import { Cx } from "../core/Complex.js";
+import { Response } from "./Response.js";
+import { FilterEngine } from "./FilterEngine.js";
 
-function pairConjs(arr){
-  const used=new Array(arr.length).fill(false), pairs=[];
-  for(let i=0;i<arr.length;i++){
-    if(used[i]) continue; const a=arr[i]; let matched=false;
-    for(let j=i+1;j<arr.length;j++) if(!used[j]){
-      const b=arr[j];
-      if(Math.abs(a.re-b.re)<1e-10 && Math.abs(a.im+b.im)<1e-10){
-        pairs.push([a,b]); used[i]=used[j]=true; matched=true; break;
-      }
-    }
-    if(!matched){ pairs.push([a]); used[i]=true; }
+const ORIGIN={re:0,im:0};
+const isReal=z=>Math.abs(z.im)<=1e-10*Math.max(1, Cx.abs(z));
+const worst=p=>Math.abs(1-Cx.abs(p)); // closeness to the unit circle
+
+// One representative (im > 0) per conjugate pair, then the real roots
+function cplxreal(arr, what){
+  const up=[], down=[], real=[];
+  for(const v of arr){
+    if(isReal(v)) real.push({re:v.re, im:0});
+    else (v.im>0 ? up : down).push(v);
+  }
+  const unmatched=down.filter(d=>!up.some(u=>Math.abs(u.re-d.re)<=1e-8*Math.max(1, Cx.abs(d)) && Math.abs(u.im+d.im)<=1e-8*Math.max(1, Cx.abs(d))));
+  if(up.length!==down.length || unmatched.length) throw new Error(`complex ${what} must come in conjugate pairs`);
+  return [...up, ...real];
+}
+
+// Index of the entry nearest x, restricted to 'real', 'complex' or 'any' entries
+function nearestIdx(arr, x, which){
+  let best=-1, dist=Infinity;
+  arr.forEach((v,i)=>{
+    if(which==='real' && !isReal(v) || which==='complex' && isReal(v)) return;
+    const d=Cx.abs(Cx.sub(v, x)); if(d<dist){ dist=d; best=i; }
+  });
+  return best;
+}
+function worstIdx(arr, idx=arr.map((_,i)=>i)){ return idx.reduce((b,i)=>worst(arr[i])<worst(arr[b]) ? i : b, idx[0]); }
+
+// Monic quadratic (or lower) in z^-1; missing zeros become delays so that fewer zeros than poles stay exact
+function section(zs, ps){
+  const poly=rs=>{
+    if(rs.length===2){ const s=Cx.add(rs[0], rs[1]), pr=Cx.mul(rs[0], rs[1]); return [1, -s.re, pr.re]; }
+    return rs.length ? [1, -rs[0].re, 0] : [1, 0, 0];
+  };
+  const a=poly(ps), bz=poly(zs), shift=ps.length-zs.length, b=[0,0,0];
+  for(let i=0;i+shift<3;i++) b[i+shift]=bz[i];
+  return {b, a};
+}
+
+// Norm of the cascade's frequency response: l2 from the impulse response energy, linf on a grid fine enough for its sharpest pole
+function cascadeNorm(sections, norm){
+  if(norm==='linf'){
+    let rmax=0; for(const s of sections) rmax=Math.max(rmax, Math.sqrt(Math.abs(s.a[2]/(s.a[0]||1))));
+    const Nf=Math.min(1<<16, Math.max(1024, Math.ceil(16*Math.PI/Math.max(1e-12, 1-rmax))));
+    let m=0; for(let i=0;i<=Nf;i++) m=Math.max(m, Cx.abs(Response.H_w_IIR(sections, Math.PI*i/Nf)));
+    return m;
+  }
+  const state=new Float64Array(2*sections.length), blk=new Float64Array(1024);
+  let e=0; blk[0]=1;
+  for(let n=0;n<1<<20;n+=blk.length){
+    const y=FilterEngine.sos(sections, state, blk); blk[0]=0;
+    let eb=0; for(const v of y) eb+=v*v;
+    e+=eb; if(eb<=1e-15*e) break;
   }
-  return pairs;
+  return Math.sqrt(e);
 }
 
 export class SOS {
-  static fromZPK(zZeros, zPoles, gain=1){
-    while(zZeros.length<zPoles.length) zZeros.push({re:-1,im:0});
-    const zp=pairConjs(zZeros), pp=pairConjs(zPoles);
-    const sections=[]; let zi=0, pi=0;
-    while(pi<pp.length){
-      const ppair=pp[pi++], zpair=(zi<zp.length)?zp[zi++]:[{re:-1,im:0},{re:-1,im:0}];
-      const p1=ppair[0], p2=ppair[1]||{re:0,im:0};
-      const z1=zpair[0], z2=zpair[1]||{re:-1,im:0};
-      const sumZ={re:z1.re+z2.re, im:z1.im+z2.im}, prodZ=Cx.mul(z1,z2);
-      const sumP={re:p1.re+p2.re, im:p1.im+p2.im}, prodP=Cx.mul(p1,p2);
-      const b=[1, -sumZ.re, prodZ.re];
-      const a=[1, -sumP.re, prodP.re];
-      sections.push({b,a});
+  // SciPy-style zpk2sos. pairing: 'nearest' pads to an even count with roots at the origin, 'keep_odd' leaves one
+  // first-order section, 'minimal' adds no roots (missing zeros become delays). Each pole pair, taken from the unit
+  // circle inwards, gets its nearest zeros. order: 'ascending' puts the poles nearest the unit circle last,
+  // 'descending' first. scale: 'none' (gain in the first section), 'l2' or 'linf' (see SOS.scale)
+  static fromZPK(zZeros, zPoles, gain=1, { pairing='nearest', order='ascending', scale='none' }={}){
+    if(!['nearest','keep_odd','minimal'].includes(pairing)) throw new Error(`unknown pairing '${pairing}'`);
+    if(!['ascending','descending'].includes(order)) throw new Error(`unknown section order '${order}'`);
+    let z=zZeros.slice(), p=zPoles.slice();
+    if(!z.length && !p.length) return [{b:[gain,0,0], a:[1,0,0]}];
+    let nSections;
+    if(pairing!=='minimal'){
+      while(p.length<z.length) p.push(ORIGIN);
+      while(z.length<p.length) z.push(ORIGIN);
+      nSections=Math.floor((p.length+1)/2);
+      if(p.length%2===1 && pairing==='nearest'){ p.push(ORIGIN); z.push(ORIGIN); }
+    } else {
+      if(p.length<z.length) throw new Error('minimal pairing needs at least as many poles as zeros');
+      nSections=Math.floor((p.length+1)/2);
+    }
+    z=cplxreal(z, 'zeros'); p=cplxreal(p, 'poles');
+
+    const sections=new Array(nSections), take=(arr,i)=>arr.splice(i,1)[0];
+    for(let si=nSections-1;si>=0;si--){
+      const p1=take(p, worstIdx(p)), realP=p.filter(isReal).length;
+      if(isReal(p1) && realP===0){
+        // Last real pole: first-order section (padded with an origin pole unless minimal)
+        if(pairing!=='minimal') sections[si]=section([take(z, nearestIdx(z, p1, 'real')), ORIGIN], [p1, ORIGIN]);
+        else if(z.length) sections[si]=section([take(z, nearestIdx(z, p1, 'real'))], [p1]);
+        else sections[si]=section([], [p1]);
+      } else if(p.length+1===z.length && !isReal(p1) && realP===1 && z.filter(isReal).length===1){
+        // One real pole and one real zero left for the end: this pair must take complex zeros
+        const z1=take(z, nearestIdx(z, p1, 'complex'));
+        sections[si]=section([z1, Cx.conj(z1)], [p1, Cx.conj(p1)]);
+      } else {
+        let p2;
+        if(isReal(p1)){ const ri=p.map((v,i)=>i).filter(i=>isReal(p[i])); p2=take(p, worstIdx(p, ri)); }
+        else p2=Cx.conj(p1);
+        if(!z.length){ sections[si]=section([], [p1, p2]); continue; }
+        const z1=take(z, nearestIdx(z, p1, 'any'));
+        if(!isReal(z1)) sections[si]=section([z1, Cx.conj(z1)], [p1, p2]);
+        else if(z.length) sections[si]=section([z1, take(z, nearestIdx(z, p1, 'real'))], [p1, p2]);
+        else sections[si]=section([z1], [p1, p2]);
+      }
+    }
+    if(order==='descending') sections.reverse();
+    sections[0].b=sections[0].b.map(v=>v*gain);
+    return scale==='none' ? sections : SOS.scale(sections, scale);
+  }
+
+  // Delays the cascade by n samples: each sample shifts the b of one section with a zero at the origin (b[2] = 0).
+  // Modifies and returns sections
+  static delay(sections, n){
+    for(let d=0;d<n;d++){
+      const s=sections.find(s=>s.b[2]===0 && s.b.some(v=>v!==0));
+      if(!s) throw new Error(`no section left to absorb sample ${d+1} of a ${n}-sample delay`);
+      s.b=[0, s.b[0], s.b[1]];
+    }
+    return sections;
+  }
+
+  // Redistribute the overall gain so the cascade up to each section output has unit l2 or linf norm
+  // (the last section keeps whatever gain remains). Modifies and returns sections
+  static scale(sections, norm='l2'){
+    if(norm!=='l2' && norm!=='linf') throw new Error(`unknown scaling norm '${norm}'`);
+    for(let i=0;i<sections.length-1;i++){
+      const n=cascadeNorm(sections.slice(0, i+1), norm);
+      if(!(n>0 && Number.isFinite(n))) continue;
+      sections[i].b=sections[i].b.map(v=>v/n);
+      sections[i+1].b=sections[i+1].b.map(v=>v*n);
     }
-    if(sections.length) sections[0].b=[sections[0].b[0]*gain, sections[0].b[1]*gain, sections[0].b[2]*gain];
     return sections;
   }
 }
@@ -1,8 +1,26 @@
 // Main FilterDSP class
 import { FIRDesigner } from "./fir/FIRDesigner.js";
 import { IIRDesigner } from "./iir/IIRDesigner.js";
+import { BiquadDesigner } from "./iir/BiquadDesigner.js";
+import { Order } from "./digital/Order.js";
+
+// Specs given as {wp, ws, Rp, Rs} (no order) are completed with the minimum order and matching edges
+function splitEdges(Wn){ return Array.isArray(Wn) ? { f1:Wn[0], f2:Wn[1] } : { f1:Wn }; }
 
 export class FilterDSP {
-  static designFIR(spec){ return new FIRDesigner(spec).design(); }
-  static designIIR(spec){ return new IIRDesigner(spec).design(); }
+  static designFIR(spec){
+    if(spec.taps==null && spec.wp!=null){
+      const { taps, beta, Wn, kind } = Order.kaiserord(spec.wp, spec.ws, spec.Rp, spec.Rs ?? 60, spec.Fs);
+      spec = { ...spec, kind, taps, beta, window:'kaiser', ...splitEdges(Wn) };
+    }
+    return new FIRDesigner(spec).design();
+  }
+  static designIIR(spec){
+    if(spec.N==null && spec.wp!=null){
+      const { N, Wn, kind } = Order.iir(spec.family, spec.wp, spec.ws, spec.Rp ?? 1, spec.Rs ?? 60, spec.Fs, { norm:spec.besselNorm ?? 'mag' });
+      spec = { ...spec, kind, N, ...splitEdges(Wn) };
+    }
+    return new IIRDesigner(spec).design();
+  }
+  static designBiquad(spec){ return new BiquadDesigner(spec).design(); }
 }
@@ -0,0 +1,35 @@
+// Analytic signal x + j·H{x} from a Hilbert-transformer FIR, with its envelope, phase and instantaneous frequency
+// The transformer has an odd number of taps, so its (N-1)/2-sample delay is removed exactly and the outputs line up with x
+import { unwrapPhase } from "../core/util.js";
+import { FilterEngine } from "../digital/FilterEngine.js";
+import { FIRDesigner } from "./FIRDesigner.js";
+
+export class Analytic {
+  // opts {Fs=1, taps=101, method='remez', f1, f2, transition, window, filter}: the Hilbert design as in FIRDesigner
+  // (kind 'hilbert'), or filter, an FIRFilter with an odd number of taps. Accuracy drops outside [f1, f2] and near the ends
+  static hilbertFilter(opts={}){
+    if(opts.filter){
+      if(opts.filter.taps.length%2===0) throw new Error('analytic signal needs a Hilbert filter with an odd number of taps');
+      return opts.filter;
+    }
+    const { Fs=1, taps=101, method='remez', ...spec } = opts;
+    if(!(Number.isInteger(taps) && taps>=3 && taps%2===1)) throw new Error('Hilbert filter for the analytic signal needs an odd number of taps (at least 3)');
+    return new FIRDesigner({ ...spec, kind:'hilbert', taps, Fs, method }).design();
+  }
+
+  // {re, im, envelope, phase (unwrapped, rad), frequency (Hz; cycles/sample when Fs is 1), filter, delay (samples removed)}
+  static signal(x, opts={}){
+    const filter=Analytic.hilbertFilter(opts), Fs=opts.filter ? filter.Fs : (opts.Fs ?? 1), D=(filter.taps.length-1)/2, n=x.length;
+    const padded=new Float64Array(n+D); for(let i=0;i<n;i++) padded[i]=x[i];
+    const y=filter.filter(padded);
+    const re=FilterEngine.alloc(x, n), im=FilterEngine.alloc(x, n), envelope=FilterEngine.alloc(x, n), frequency=FilterEngine.alloc(x, n);
+    const wrapped=new Array(n);
+    for(let i=0;i<n;i++){ re[i]=x[i]; im[i]=y[i+D]; envelope[i]=Math.hypot(re[i], im[i]); wrapped[i]=Math.atan2(im[i], re[i]); }
+    const phase=unwrapPhase(wrapped), k=Fs/(2*Math.PI);
+    for(let i=0;i<n;i++){
+      const a=phase[Math.max(0, i-1)], b=phase[Math.min(n-1, i+1)], span=Math.min(n-1, i+1)-Math.max(0, i-1);
+      frequency[i]=span ? (b-a)/span*k : 0;
+    }
+    return { re, im, envelope, phase, frequency, filter, delay:D };
+  }
+}
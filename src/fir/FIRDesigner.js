@@ -1,18 +1,60 @@
 // FIR filter designer
 import { Response } from "../digital/Response.js";
 import { Windows } from "./Windows.js";
+import { Remez } from "./Remez.js";
+import { LeastSquares } from "./LeastSquares.js";
+import { FreqSampling } from "./FreqSampling.js";
 import { FIRFilter } from "../model/FIRFilter.js";
 
 function sincNorm(x){ return x===0 ? 1 : Math.sin(Math.PI*x)/(Math.PI*x); }
 
+const KINDS=['lowpass','highpass','bandpass','bandstop','hilbert','differentiator'];
+const ANTISYMMETRIC=['hilbert','differentiator'];
+
+// Ideal antisymmetric responses band-limited to wc (rad/sample), at lag t from the centre: -j sgn(ω) and jω
+function hilbertAt(t, wc){ return t===0 ? 0 : (1-Math.cos(wc*t))/(Math.PI*t); }
+function differentiatorAt(t, wc){ return t===0 ? 0 : (wc*t*Math.cos(wc*t)-Math.sin(wc*t))/(Math.PI*t*t); }
+
+// Hilbert: passband [f1, f2] (defaults: transition, Fs/2 - f1). Differentiator: slope band [0, f1] (default Fs/2), then a
+// stopband from f1 + transition. Differentiator desired values are slopes: 2π gives an amplitude of ω in rad/sample
+function antisymmetricBands(kind, Fs, f1, f2, tw){
+  if(kind==='hilbert'){ const lo=f1 ?? tw; return { bands:[lo, f2 ?? Fs/2-lo], desired:[1] }; }
+  if(f1==null || f1+tw>=Fs/2) return { bands:[0, f1 ?? Fs/2], desired:[2*Math.PI] };
+  return { bands:[0, f1, f1+tw, Fs/2], desired:[2*Math.PI, 0] };
+}
+
+// Band edges/amplitudes for the standard kinds, with a transition band of width tw centred on each cutoff
+function bandsFromKind(kind, Fs, f1, f2, tw){
+  const nyq=Fs/2, h=tw/2;
+  switch(kind){
+    case 'lowpass':  return { bands:[0, f1-h, f1+h, nyq], desired:[1,0] };
+    case 'highpass': return { bands:[0, f1-h, f1+h, nyq], desired:[0,1] };
+    case 'bandpass': return { bands:[0, f1-h, f1+h, f2-h, f2+h, nyq], desired:[0,1,0] };
+    default:         return { bands:[0, f1-h, f1+h, f2-h, f2+h, nyq], desired:[1,0,1] };
+  }
+}
+
 export class FIRDesigner {
   constructor(spec){
-    this.spec = spec; // {kind,taps,Fs,f1,f2?,window?,beta?}
+    this.spec = spec; // {kind,taps,Fs,f1,f2?,method?,window?,beta?,bands?,desired?,weights?,transition?,freq?,gain?}
   }
   design(){
-    const { kind, taps: M, Fs, f1, f2=f1, window='hamming', beta=6 } = this.spec;
+    const { kind } = this.spec;
+    if(kind!=null && !KINDS.includes(kind)) throw new Error(`unknown FIR kind '${kind}'`);
+    switch(this.spec.method){
+      case 'remez': return this.remez();
+      case 'firls': return this.firls();
+      case 'firwin2': return this.firwin2();
+      case 'nyquist': return this.nyquist();
+      default: return this.windowed();
+    }
+  }
+
+  windowed(){
+    const { kind, taps: M, Fs, f1, f2=f1, window='hamming' } = this.spec;
     const mid=(M-1)/2, w1=2*Math.PI*(f1/Fs), w2=2*Math.PI*(f2/Fs);
-    const win=Windows.byName(window, M, beta), h=new Array(M).fill(0);
+    const win=Windows.byName(window, M, this.spec), h=new Array(M).fill(0);
+    if(ANTISYMMETRIC.includes(kind)) return this.antisymmetricWindowed(win);
 
     const lpAt=(omega_c)=>{
       const hlp=new Array(M);
@@ -37,6 +79,80 @@ export class FIRDesigner {
     const Href=Response.H_w_FIR(h,wRef), g=1/(Math.hypot(Href.re,Href.im)||1e-12);
     for(let n=0;n<M;n++) h[n]*=g;
 
-    return new FIRFilter({taps:h, Fs});
+    return new FIRFilter({taps:h, Fs, info:{ method:'window', window }});
+  }
+
+  // Hilbert transformer / differentiator: ideal antisymmetric response (full band unless f2 / f1 limits it) times the window.
+  // Hilbert is scaled to unit gain mid-band, the differentiator to unit slope at DC
+  antisymmetricWindowed(win){
+    const { kind, taps: M, Fs, window='hamming' } = this.spec, mid=(M-1)/2;
+    const edge=kind==='hilbert' ? this.spec.f2 : this.spec.f1, wc=edge==null ? Math.PI : 2*Math.PI*(edge/Fs);
+    const ideal=kind==='hilbert' ? hilbertAt : differentiatorAt;
+    const h=win.map((w,n)=>w*ideal(n-mid, wc));
+    let g;
+    if(kind==='hilbert'){ const Hm=Response.H_w_FIR(h, wc/2); g=1/(Math.hypot(Hm.re, Hm.im)||1e-12); }
+    else g=1/(h.reduce((a,v,n)=>a+v*(mid-n), 0)||1e-12);
+    return new FIRFilter({taps:h.map(v=>v*g), Fs, info:{ method:'window', window }});
+  }
+
+  // Parks-McClellan equiripple; explicit {bands, desired, weights} or derived from kind/f1/f2/transition
+  remez(){
+    const { kind, taps: M, Fs, f1, transition=Fs/50, gridDensity, maxIter } = this.spec, anti=ANTISYMMETRIC.includes(kind);
+    const f2=this.spec.f2 ?? (anti ? undefined : f1);
+    const spec = this.spec.bands ? { bands:this.spec.bands, desired:this.spec.desired } : anti ? antisymmetricBands(kind, Fs, f1, f2, transition) : bandsFromKind(kind, Fs, f1, f2, transition);
+    const weights = this.spec.weights ?? spec.desired.map(()=>1);
+    if(!anti && M%2===0 && spec.desired[spec.desired.length-1]!==0 && spec.bands[spec.bands.length-1]>=Fs/2)
+      throw new Error('remez: an even number of taps forces a zero at Fs/2; use an odd number of taps');
+    if(anti && M%2===1 && spec.desired[spec.desired.length-1]!==0 && spec.bands[spec.bands.length-1]>=Fs/2)
+      throw new Error(`remez: an odd number of antisymmetric taps forces a zero at Fs/2; use an even number of taps or end the ${kind} band below Fs/2`);
+    const type = kind==='hilbert' ? 'antisymmetric' : kind==='differentiator' ? 'differentiator' : 'bandpass';
+    const r = Remez.design(M, spec.bands, spec.desired, { weights, Fs, type, gridDensity, maxIter });
+    const info = { method:'remez', bands:spec.bands, desired:spec.desired, weights, delta:r.delta, ripple:r.ripple, converged:r.converged, iterations:r.iterations };
+    return new FIRFilter({taps:r.taps, Fs, info});
+  }
+
+  // Weighted least squares; desired is one value per band or one per band edge (piecewise linear)
+  firls(){
+    const { kind, taps: M, Fs, f1, f2=f1, transition=Fs/50 } = this.spec;
+    if(ANTISYMMETRIC.includes(kind)) throw new Error(`firls designs symmetric filters only; use method 'window' or 'remez' for ${kind}`);
+    const spec = this.spec.bands ? { bands:this.spec.bands, desired:this.spec.desired } : bandsFromKind(kind, Fs, f1, f2, transition);
+    const weights = this.spec.weights ?? new Array(spec.bands.length/2).fill(1);
+    const taps = LeastSquares.design(M, spec.bands, spec.desired, { weights, Fs });
+    return new FIRFilter({taps, Fs, info:{ method:'firls', bands:spec.bands, desired:spec.desired, weights }});
+  }
+
+  // Nyquist (band-th band) lowpass cut off at Fs/(2·band): the centre tap is exactly 1/band and every band-th tap from it exactly
+  // zero, so those multiplies can be skipped. design 'window' (any band) or 'remez' (half-band only, taps = 4K-1: equiripple
+  // with passband edge Fs/4 - transition/2, from a half-length single-band design interleaved with zeros)
+  nyquist(){
+    const { taps: M, Fs, band=2, design='window', window='kaiser', transition=Fs/50, gridDensity, maxIter } = this.spec;
+    if(!(Number.isInteger(band) && band>=2)) throw new Error('Nyquist filter band must be an integer of at least 2');
+    if(!(Number.isInteger(M) && M>=3 && M%2===1)) throw new Error('Nyquist filters need an odd number of taps (at least 3)');
+    const mid=(M-1)/2;
+    let h;
+    if(design==='remez'){
+      if(band!==2) throw new Error('equiripple Nyquist design supports half-band (band 2) only; use design \'window\'');
+      if((M+1)%4) throw new Error('equiripple half-band needs taps = 4K - 1 (7, 11, 15, ...)');
+      const fp=Fs/4-transition/2;
+      if(!(fp>0)) throw new Error('half-band transition must be narrower than Fs/2');
+      const g=Remez.design((M+1)/2, [0, 2*fp], [1], { Fs, gridDensity, maxIter }).taps;
+      h=new Array(M).fill(0); g.forEach((v,n)=>{ h[2*n]=v/2; });
+    } else if(design==='window'){
+      const win=Windows.byName(window, M, this.spec);
+      h=win.map((w,n)=>w*sincNorm((n-mid)/band)/band);
+    } else throw new Error(`unknown Nyquist design '${design}'`);
+    for(let n=mid%band;n<M;n+=band) h[n]=0;
+    h[mid]=1/band;
+    const zeroTaps=h.filter(v=>v===0).length;
+    const info={ method:'nyquist', band, design, ...(design==='window' ? { window } : {}), zeroTaps, savings:zeroTaps/M };
+    return new FIRFilter({taps:h, Fs, info});
+  }
+
+  // Frequency sampling from a {freq, gain} table (Hz, 0..Fs/2), windowed
+  firwin2(){
+    const { taps: M, Fs, freq, gain, window='hamming', beta=8.6, alpha=0.5, sigma=0.4, nfreqs } = this.spec;
+    if(!freq || !gain) throw new Error('firwin2 requires freq and gain');
+    const taps = FreqSampling.design(M, freq, gain, { Fs, window, windowOpts:{ beta, alpha, sigma }, nfreqs });
+    return new FIRFilter({taps, Fs, info:{ method:'firwin2', freq, gain, window }});
   }
 }
@@ -1,6 +1,6 @@
 // FIR filter zeros
 import { Roots } from "../core/Roots.js";
-import { Response } from "../digital/Response.js";
+import { FFT } from "../core/FFT.js";
 
 function pushUnique(arr, z, tol=1e-9){ for(const q of arr) if(Math.hypot(q.re-z.re, q.im-z.im)<tol) return false; arr.push(z); return true; }
 function enforceConjugates(roots, tol=1e-9){
@@ -9,9 +9,8 @@ function enforceConjugates(roots, tol=1e-9){
 
 export class FIRZeros {
   static fromTapsRobust(taps){
-    const M=taps.length-1;
-    const coeffs=new Array(taps.length);
-    for(let k=0;k<taps.length;k++) coeffs[k]=taps[M-k];
+    // h0 + h1 z^-1 + ... + hM z^-M = z^-M (h0 z^M + ... + hM): taps are already highest power first
+    const coeffs=Array.from(taps);
 
     let i0=0; while(i0<coeffs.length-1 && Math.abs(coeffs[i0])<1e-18) i0++;
     const poly=coeffs.slice(i0);
@@ -34,8 +33,7 @@ export class FIRZeros {
 }
 
 function approxUnitCircleMinima(taps, want){
-  const K=8192, picks=[], mags=new Float64Array(K+1);
-  for(let i=0;i<=K;i++){ const w=Math.PI*i/K; const H=Response.H_w_FIR(taps,w); mags[i]=Math.hypot(H.re,H.im); }
+  const K=8192, picks=[], H=FFT.dtftGrid(taps, K+1), mags=H.re.map((r,i)=>Math.hypot(r, H.im[i]));
   for(let i=1;i<K;i++){
     if(mags[i]<mags[i-1] && mags[i]<mags[i+1]){
       const w=Math.PI*i/K; picks.push({re:Math.cos(w), im:Math.sin(w)}); if(picks.length>=want) break;
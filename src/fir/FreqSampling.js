@@ -0,0 +1,35 @@
+// Frequency-sampling FIR design from a frequency/gain table (firwin2)
+import { Windows } from "./Windows.js";
+
+// Piecewise-linear interpolation of (freq, gain); repeated frequencies mark a step
+function interpGain(freq, gain, f){
+  for(let i=0;i<freq.length-1;i++){
+    const fa=freq[i], fb=freq[i+1];
+    if(fb<=fa || f<fa || f>fb) continue;
+    return gain[i] + (gain[i+1]-gain[i])*(f-fa)/(fb-fa);
+  }
+  return f<=freq[0] ? gain[0] : gain[gain.length-1];
+}
+
+export class FreqSampling {
+  // freq: Hz from 0 to Fs/2 (non-decreasing); gain: desired amplitude at each freq
+  static design(numtaps, freq, gain, opts={}){
+    const { Fs=1, window='hamming', windowOpts={}, nfreqs=1+Math.pow(2, Math.ceil(Math.log2(numtaps))) } = opts;
+    if(freq.length!==gain.length || freq.length<2) throw new Error('firwin2 needs matching freq and gain arrays');
+    if(freq[0]!==0 || freq[freq.length-1]!==Fs/2) throw new Error('firwin2 freq must start at 0 and end at Fs/2');
+    for(let i=1;i<freq.length;i++) if(freq[i]<freq[i-1]) throw new Error('firwin2 freq must be non-decreasing');
+    if(numtaps%2===0 && gain[gain.length-1]!==0) throw new Error('firwin2: an even number of taps needs zero gain at Fs/2');
+    if(nfreqs<numtaps) throw new Error('firwin2 nfreqs must be at least numtaps');
+
+    // Real inverse DFT of the linear-phase spectrum sampled at nfreqs points on [0, π]
+    const N=numtaps, L=(N-1)/2, K=nfreqs-1, nfft=2*K, G=new Float64Array(nfreqs);
+    for(let k=0;k<=K;k++) G[k]=interpGain(freq, gain, k/K*(Fs/2));
+    const win=window ? Windows.byName(window, N, windowOpts) : Windows.rect(N), taps=new Array(N);
+    for(let n=0;n<N;n++){
+      const m=n-L; let acc=G[0]+G[K]*Math.cos(Math.PI*m);
+      for(let k=1;k<K;k++) acc+=2*G[k]*Math.cos(Math.PI*k*m/K);
+      taps[n]=acc/nfft*win[n];
+    }
+    return taps;
+  }
+}
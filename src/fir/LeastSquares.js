@@ -0,0 +1,62 @@
+// Weighted least-squares linear-phase FIR design (firls)
+
+// ∫_{w1}^{w2} (alpha + beta*w) cos(u*w) dw
+function intLinCos(u, w1, w2, alpha, beta){
+  if(Math.abs(u)<1e-12) return alpha*(w2-w1) + beta*(w2*w2-w1*w1)/2;
+  const F=w=> alpha*Math.sin(u*w)/u + beta*(w*Math.sin(u*w)/u + Math.cos(u*w)/(u*u));
+  return F(w2)-F(w1);
+}
+
+// Gaussian elimination with partial pivoting; A is overwritten
+function solve(A, b){
+  const n=b.length, x=b.slice();
+  for(let c=0;c<n;c++){
+    let p=c; for(let r=c+1;r<n;r++) if(Math.abs(A[r][c])>Math.abs(A[p][c])) p=r;
+    if(p!==c){ [A[p],A[c]]=[A[c],A[p]]; [x[p],x[c]]=[x[c],x[p]]; }
+    const d=A[c][c]||1e-300;
+    for(let r=c+1;r<n;r++){
+      const f=A[r][c]/d; if(!f) continue;
+      for(let k=c;k<n;k++) A[r][k]-=f*A[c][k];
+      x[r]-=f*x[c];
+    }
+  }
+  for(let r=n-1;r>=0;r--){ let s=x[r]; for(let k=r+1;k<n;k++) s-=A[r][k]*x[k]; x[r]=s/(A[r][r]||1e-300); }
+  return x;
+}
+
+export class LeastSquares {
+  // bands: [f0,f1, f2,f3, ...] in Hz; desired: amplitude at each band edge (piecewise linear) or one value per band
+  static design(numtaps, bands, desired, opts={}){
+    if(!(numtaps>=1)) throw new Error('firls needs at least 1 tap');
+    if(bands.length%2) throw new Error('firls band edges must come in pairs');
+    const nb=bands.length/2;
+    const { weights=new Array(nb).fill(1), Fs=1 } = opts;
+    if(desired.length===nb) desired=desired.flatMap(d=>[d,d]);
+    if(desired.length!==bands.length || weights.length!==nb) throw new Error('firls needs desired values per band edge and one weight per band');
+    for(let i=1;i<bands.length;i++) if(bands[i]<bands[i-1]) throw new Error('firls band edges must be increasing');
+    if(bands[0]<0 || bands[bands.length-1]>Fs/2) throw new Error('firls band edges must lie in [0, Fs/2]');
+    if(weights.some(w=>!(w>=0))) throw new Error('firls weights must be non-negative');
+
+    // Amplitude A(w) = Σ c_k cos(t_k w): t_k = k (odd length) or k+1/2 (even length)
+    const N=numtaps, odd=N%2===1, K=odd?(N+1)/2:N/2, t=Array.from({length:K}, (_,k)=>odd?k:k+0.5);
+    const G=Array.from({length:K}, ()=>new Float64Array(K)), rhs=new Array(K).fill(0);
+    for(let b=0;b<nb;b++){
+      const w1=2*Math.PI*bands[2*b]/Fs, w2=2*Math.PI*bands[2*b+1]/Fs, Wb=weights[b];
+      if(w2<=w1 || !Wb) continue;
+      const beta=(desired[2*b+1]-desired[2*b])/(w2-w1), alpha=desired[2*b]-beta*w1;
+      for(let k=0;k<K;k++){
+        rhs[k]+=Wb*intLinCos(t[k], w1, w2, alpha, beta);
+        for(let l=k;l<K;l++){
+          const v=Wb*0.5*(intLinCos(t[k]-t[l], w1, w2, 1, 0)+intLinCos(t[k]+t[l], w1, w2, 1, 0));
+          G[k][l]+=v; if(l!==k) G[l][k]+=v;
+        }
+      }
+    }
+    const c=solve(G.map(r=>Array.from(r)), rhs);
+
+    const taps=new Array(N).fill(0);
+    if(odd){ const M=(N-1)/2; taps[M]=c[0]; for(let k=1;k<K;k++){ taps[M-k]=taps[M+k]=c[k]/2; } }
+    else { const M=N/2; for(let k=0;k<K;k++){ taps[M-1-k]=taps[M+k]=c[k]/2; } }
+    return taps;
+  }
+}
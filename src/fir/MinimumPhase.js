@@ -0,0 +1,61 @@
+// Minimum-phase FIR from (typically linear-phase) taps: homomorphic (cepstral) and root-reflection methods
+import { Cx } from "../core/Complex.js";
+import { FFT } from "../core/FFT.js";
+import { Poly } from "../core/Polynomial.js";
+import { Response } from "../digital/Response.js";
+import { FIRZeros } from "./FIRZeros.js";
+
+export class MinimumPhase {
+  // Fold the real cepstrum of log|H| onto n >= 0. half=false keeps the length and magnitude;
+  // half=true gives (M+1)/2 taps whose magnitude is the square root of the original (SciPy's default)
+  static homomorphic(taps, { half=false, nfft }={}){
+    const M=taps.length;
+    if(M<2) return Array.from(taps);
+    const n=nfft ?? FFT.nextPow2(Math.ceil(2*(M-1)/0.01));
+    if(!(Number.isInteger(n) && n>=M)) throw new Error('nfft must be an integer no shorter than the filter');
+    const re=new Float64Array(n), im=new Float64Array(n);
+    re.set(taps); FFT.transform(re, im);
+    const mag=new Float64Array(n); let floor=Infinity;
+    for(let k=0;k<n;k++){ mag[k]=Math.hypot(re[k], im[k]); if(mag[k]>0) floor=Math.min(floor, mag[k]); }
+    // log|H| (a tiny floor keeps unit-circle zeros finite), then the real cepstrum
+    for(let k=0;k<n;k++){ re[k]=Math.log(mag[k]+1e-7*floor)*(half?0.5:1); im[k]=0; }
+    FFT.transform(re, im, true);
+    im.fill(0);
+    for(let k=1;k<n;k++) re[k]*= k<n/2 ? 2 : k===n/2 ? 1 : 0;
+    FFT.transform(re, im);
+    for(let k=0;k<n;k++){ const e=Math.exp(re[k]); const c=Math.cos(im[k]), s=Math.sin(im[k]); re[k]=e*c; im[k]=e*s; }
+    FFT.transform(re, im, true);
+    return Array.from(re.subarray(0, half ? Math.floor((M+1)/2) : M));
+  }
+
+  // Reflect zeros outside the unit circle to 1/conj(z) and rescale so the magnitude is unchanged. End taps below eps·max|h|
+  // are trimmed first (window designs leave ~1e-18 there, which would swamp the roots); zeros, when given, are those of the
+  // trimmed taps. Throws if the zeros do not rebuild the taps rather than return a different filter
+  static reflect(taps, zeros){
+    const big=Math.max(...Array.from(taps, Math.abs)), tiny=Number.EPSILON*big;
+    let lo=0, hi=taps.length-1;
+    while(lo<hi && Math.abs(taps[lo])<=tiny) lo++;
+    while(hi>lo && Math.abs(taps[hi])<=tiny) hi--;
+    const h=Array.from(taps).slice(lo, hi+1);
+    zeros=zeros ?? FIRZeros.fromTapsRobust(h);
+    if(zeros.length!==h.length-1) throw new Error(`reflect: found ${zeros.length} zeros for ${h.length} significant taps; use method 'homomorphic'`);
+    const rebuilt=Poly.fromRoots(zeros).map(v=>v*h[0]);
+    if(rebuilt.some((v,i)=>!(Math.abs(v-h[i])<=1e-6*big))) throw new Error('reflect: the zeros do not reproduce the taps; use method \'homomorphic\'');
+    let gain=h[0];
+    const inside=zeros.map(z=>{
+      const r=Cx.abs(z);
+      if(r<=1) return z;
+      gain*=r; return Cx.div({re:1,im:0}, Cx.conj(z));
+    });
+    const out=Poly.fromRoots(inside).map(v=>v*gain);
+    while(out.length<taps.length) out.push(0);
+    return out;
+  }
+
+  // Group delay of both filters at the frequency of peak gain (DC for lowpass designs)
+  static delayReport(source, result, Nf=1024){
+    let wPeak=0, best=-1;
+    for(let i=0;i<=Nf;i++){ const w=Math.PI*i/Nf, H=Response.H_w_FIR(source, w), m=H.re*H.re+H.im*H.im; if(m>best){ best=m; wPeak=w; } }
+    return { w:wPeak, sourceGroupDelay:Response.groupDelayFIR(source, wPeak), groupDelay:Response.groupDelayFIR(result, wPeak) };
+  }
+}
@@ -0,0 +1,127 @@
+// Parks-McClellan equiripple FIR design (Remez exchange on a dense frequency grid)
+
+// Barycentric weights over the first n points of x (factor 2 keeps the products near unity)
+function baryWeights(x, n){
+  const c=new Float64Array(n);
+  for(let k=0;k<n;k++){ let p=1; for(let j=0;j<n;j++) if(j!==k) p*=2*(x[k]-x[j]); c[k]=1/p; }
+  return c;
+}
+
+// Barycentric Lagrange interpolation through (xs[k], ys[k])
+function baryEval(xs, ys, c, x){
+  let num=0, den=0;
+  for(let k=0;k<xs.length;k++){
+    const d=x-xs[k];
+    if(Math.abs(d)<1e-14) return ys[k];
+    const t=c[k]/d; num+=t*ys[k]; den+=t;
+  }
+  return num/den;
+}
+
+// Alternating local extrema of the weighted error, reduced to `want` points
+function findExtrema(E, segments, want){
+  let ext=[];
+  for(const [s,e] of segments){
+    for(let i=s;i<=e;i++){
+      const v=E[i], l=i>s?E[i-1]:null, r=i<e?E[i+1]:null;
+      const isMax=v>=0 && (l===null||v>=l) && (r===null||v>r);
+      const isMin=v<0 && (l===null||v<=l) && (r===null||v<r);
+      if(isMax||isMin) ext.push(i);
+    }
+  }
+  const merged=[];
+  for(const i of ext){
+    const last=merged.length?merged[merged.length-1]:-1;
+    if(last>=0 && (E[last]>=0)===(E[i]>=0)){ if(Math.abs(E[i])>Math.abs(E[last])) merged[merged.length-1]=i; }
+    else merged.push(i);
+  }
+  ext=merged;
+  while(ext.length>want){
+    if(ext.length-want===1){
+      if(Math.abs(E[ext[0]])<Math.abs(E[ext[ext.length-1]])) ext.shift(); else ext.pop();
+      continue;
+    }
+    let p=0; for(let k=1;k<ext.length;k++) if(Math.abs(E[ext[k]])<Math.abs(E[ext[p]])) p=k;
+    ext.splice(p,1);
+    if(p>0 && p<ext.length && (E[ext[p-1]]>=0)===(E[ext[p]]>=0)){
+      ext.splice(Math.abs(E[ext[p-1]])<Math.abs(E[ext[p]]) ? p-1 : p, 1);
+    }
+  }
+  return ext;
+}
+
+export class Remez {
+  // bands: [f0,f1, f2,f3, ...] in Hz (0..Fs/2); desired: amplitude per band; type: 'bandpass' | 'antisymmetric' | 'differentiator'.
+  // 'antisymmetric' responses are -j·A(f) about the centre tap (a Hilbert transformer for A = 1); 'differentiator' is +j·desired·f/Fs,
+  // weighted by Fs/f where desired is nonzero (relative error), so desired 2π gives jω
+  static design(numtaps, bands, desired, opts={}){
+    const { weights=desired.map(()=>1), Fs=1, type='bandpass', gridDensity=16, maxIter=40 } = opts;
+    if(!(numtaps>=3)) throw new Error('remez needs at least 3 taps');
+    if(!(Number.isInteger(maxIter) && maxIter>=1)) throw new Error('remez maxIter must be an integer of at least 1');
+    if(bands.length%2 || bands.length/2!==desired.length || weights.length!==desired.length) throw new Error('remez needs one desired value and weight per band edge pair');
+    for(let i=1;i<bands.length;i++) if(bands[i]<bands[i-1]) throw new Error('remez band edges must be increasing');
+    if(weights.some(w=>!(w>0))) throw new Error('remez weights must be positive');
+    if(bands[0]<0 || bands[bands.length-1]>Fs/2) throw new Error('remez band edges must lie in [0, Fs/2]');
+
+    if(!['bandpass','antisymmetric','differentiator'].includes(type)) throw new Error(`unknown remez type '${type}'`);
+    const N=numtaps, odd=N%2===1, diff=type==='differentiator', anti=type==='antisymmetric' || diff;
+    const r = anti ? (odd ? (N-1)/2 : N/2) : (odd ? (N+1)/2 : N/2);
+    // Amplitude factor Q(f) so that Hr(f) = Q(f) * P(cos 2πf)
+    const Q = anti ? (odd ? f=>Math.sin(2*Math.PI*f) : f=>Math.sin(Math.PI*f)) : (odd ? ()=>1 : f=>Math.cos(Math.PI*f));
+
+    // Dense grid, skipping points where Q vanishes
+    const delf=0.5/(gridDensity*r), F=[], D=[], W=[], segments=[], bandOf=[];
+    for(let b=0;b<desired.length;b++){
+      let fl=bands[2*b]/Fs, fh=bands[2*b+1]/Fs;
+      if(anti && fl<delf) fl=delf;
+      if((anti&&odd || !anti&&!odd) && fh>0.5-delf) fh=0.5-delf;
+      if(fh<fl) continue;
+      const n=Math.max(1, Math.round((fh-fl)/delf)), s=F.length;
+      for(let i=0;i<=n;i++){
+        const f=n?fl+(fh-fl)*i/n:fl, q=Q(f), slope=diff && desired[b]!==0;
+        F.push(f); D.push((slope ? desired[b]*f : desired[b])/q); W.push((slope ? weights[b]/f : weights[b])*q); bandOf.push(b);
+      }
+      segments.push([s, F.length-1]);
+    }
+    const ng=F.length;
+    if(ng<r+1) throw new Error('remez grid too coarse for the requested number of taps');
+    const X=F.map(f=>Math.cos(2*Math.PI*f));
+
+    let ext=Array.from({length:r+1}, (_,k)=>Math.floor(k*(ng-1)/r));
+    let delta=0, converged=false, iterations=0, xs=null, ys=null, c=null;
+    const E=new Float64Array(ng);
+    for(; iterations<maxIter; iterations++){
+      const xe=ext.map(i=>X[i]), ad=baryWeights(xe, r+1);
+      let num=0, den=0;
+      for(let k=0;k<=r;k++){ const sgn=k%2?-1:1; num+=ad[k]*D[ext[k]]; den+=sgn*ad[k]/W[ext[k]]; }
+      delta=num/den;
+      xs=xe.slice(0,r); ys=xs.map((_,k)=>D[ext[k]]-(k%2?-1:1)*delta/W[ext[k]]); c=baryWeights(xs, r);
+
+      let maxErr=0;
+      for(let i=0;i<ng;i++){ E[i]=W[i]*(D[i]-baryEval(xs, ys, c, X[i])); maxErr=Math.max(maxErr, Math.abs(E[i])); }
+      const next=findExtrema(E, segments, r+1);
+      if(next.length<r+1) break;
+      const same=next.every((v,k)=>v===ext[k]);
+      ext=next;
+      if(same || (maxErr-Math.abs(delta))<=1e-9*maxErr){ converged=true; iterations++; break; }
+    }
+
+    // Amplitude samples on the DFT grid, then the inverse cosine/sine transform
+    const L=(N-1)/2, K=Math.floor((N-1)/2), Hr=new Float64Array(Math.floor(N/2)+1);
+    for(let k=0;k<Hr.length;k++){ const f=k/N; Hr[k]=Q(f)*baryEval(xs, ys, c, Math.cos(2*Math.PI*f)); }
+    const taps=new Array(N);
+    for(let n=0;n<N;n++){
+      const m=n-L, trig=anti?Math.sin:Math.cos;
+      let acc=anti?0:Hr[0];
+      for(let k=1;k<=K;k++) acc+=2*Hr[k]*trig(2*Math.PI*k*m/N);
+      if(!odd) acc+=Hr[N/2]*trig(Math.PI*m);
+      taps[n]=(diff ? -acc : acc)/N;
+    }
+
+    // Achieved deviation per band, measured on the grid (over f/Fs in differentiator slope bands)
+    const ripple=desired.map(()=>0);
+    for(let i=0;i<ng;i++){ const b=bandOf[i]; ripple[b]=Math.max(ripple[b], Math.abs(E[i])/weights[b]); }
+
+    return { taps, delta:Math.abs(delta), ripple, converged, iterations };
+  }
+}
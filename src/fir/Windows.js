@@ -40,6 +40,15 @@ export class Windows {
             a0 - a1*Math.cos(2*Math.PI*n/(N-1)) + a2*Math.cos(4*Math.PI*n/(N-1)) - a3*Math.cos(6*Math.PI*n/(N-1)));
     }
     
+    /**
+     * Kaiser's empirical beta for a stopband attenuation of A dB
+     */
+    static kaiserBeta(A) {
+        if (A > 50) return 0.1102*(A - 8.7);
+        if (A > 21) return 0.5842*Math.pow(A - 21, 0.4) + 0.07886*(A - 21);
+        return 0;
+    }
+
     static kaiser(N, beta = 8.6) {
         const denom = _i0(beta), M = N - 1;
         return Array.from({ length: N }, (_, n) => {
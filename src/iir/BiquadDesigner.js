@@ -0,0 +1,51 @@
+// Single-section audio EQ biquads (RBJ Audio EQ Cookbook)
+import { BLT } from "../digital/BLT.js";
+import { IIRFilter } from "../model/IIRFilter.js";
+
+const KINDS=['lowpass','highpass','bandpassSkirt','bandpassPeak','notch','allpass','peaking','lowShelf','highShelf'];
+
+function quadRoots(c){ return BLT.quad({re:c[0],im:0}, {re:c[1],im:0}, {re:c[2],im:0}); }
+
+export class BiquadDesigner {
+  constructor(spec){
+    this.spec = spec; // {kind, f0, Fs, gaindB?, Q? | BW? (octaves) | S? (shelf slope)}
+  }
+  design(){
+    const { kind, f0, Fs, gaindB=0, BW, S } = this.spec;
+    if(!KINDS.includes(kind)) throw new Error(`unknown biquad kind '${kind}'`);
+    if(!(f0>0 && f0<Fs/2)) throw new Error('biquad f0 must lie in (0, Fs/2)');
+    const A=Math.pow(10, gaindB/40), w0=2*Math.PI*f0/Fs, cs=Math.cos(w0), sn=Math.sin(w0);
+
+    // Bandwidth in octaves is taken between the digital -3 dB (or midpoint-gain) frequencies
+    let alpha;
+    if(S!=null){
+      if(kind!=='lowShelf' && kind!=='highShelf') throw new Error('slope S applies to shelving filters only');
+      alpha=sn/2*Math.sqrt(Math.max(0, (A+1/A)*(1/S-1)+2));
+    }
+    else if(BW!=null) alpha=sn*Math.sinh(Math.LN2/2*BW*w0/sn);
+    else alpha=sn/(2*(this.spec.Q ?? Math.SQRT1_2));
+
+    const sA=2*Math.sqrt(A)*alpha;
+    let b, a;
+    switch(kind){
+      case 'lowpass': b=[(1-cs)/2, 1-cs, (1-cs)/2]; a=[1+alpha, -2*cs, 1-alpha]; break;
+      case 'highpass': b=[(1+cs)/2, -(1+cs), (1+cs)/2]; a=[1+alpha, -2*cs, 1-alpha]; break;
+      case 'bandpassSkirt': b=[sn/2, 0, -sn/2]; a=[1+alpha, -2*cs, 1-alpha]; break; // peak gain Q
+      case 'bandpassPeak': b=[alpha, 0, -alpha]; a=[1+alpha, -2*cs, 1-alpha]; break; // 0 dB peak
+      case 'notch': b=[1, -2*cs, 1]; a=[1+alpha, -2*cs, 1-alpha]; break;
+      case 'allpass': b=[1-alpha, -2*cs, 1+alpha]; a=[1+alpha, -2*cs, 1-alpha]; break;
+      case 'peaking': b=[1+alpha*A, -2*cs, 1-alpha*A]; a=[1+alpha/A, -2*cs, 1-alpha/A]; break;
+      case 'lowShelf':
+        b=[A*((A+1)-(A-1)*cs+sA), 2*A*((A-1)-(A+1)*cs), A*((A+1)-(A-1)*cs-sA)];
+        a=[(A+1)+(A-1)*cs+sA, -2*((A-1)+(A+1)*cs), (A+1)+(A-1)*cs-sA];
+        break;
+      default: // highShelf
+        b=[A*((A+1)+(A-1)*cs+sA), -2*A*((A-1)+(A+1)*cs), A*((A+1)+(A-1)*cs-sA)];
+        a=[(A+1)-(A-1)*cs+sA, 2*((A-1)-(A+1)*cs), (A+1)-(A-1)*cs-sA];
+    }
+
+    // Same {b, a} layout as SOS.fromZPK: a normalized to a[0] = 1
+    const a0=a[0]; b=b.map(v=>v/a0); a=a.map(v=>v/a0);
+    return new IIRFilter({sections:[{b, a}], Fs, zPoles:quadRoots(a), zZeros:quadRoots(b)});
+  }
+}
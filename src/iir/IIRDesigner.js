@@ -1,15 +1,43 @@
 // IIR filter designer
+import { Cx } from "../core/Complex.js";
 import { BLT } from "../digital/BLT.js";
+import { Discretize } from "../digital/Discretize.js";
 import { Response } from "../digital/Response.js";
 import { SOS } from "../digital/SOS.js";
 import { Prototypes } from "../analog/Prototypes.js";
 import { IIRFilter } from "../model/IIRFilter.js";
+import { AnalogFilter } from "../model/AnalogFilter.js";
 
 function divC(a,b){ const d=b.re*b.re+b.im*b.im||1e-300; return {re:(a.re*b.re+0*b.im)/d, im:(0*b.re-a.re*b.im)/d}; }
 
+// Prototype -> analog lowpass/highpass/bandpass/bandstop zpk (unit gain) with edges at warp(f) rad/s
+function analogZPK(proto, kind, f1, f2, warp){
+  const nInf=proto.poles.length-proto.zeros.length; // prototype zeros at s=∞
+  const sPoles=[], sZeros=[]; let O0=0;
+  if(kind==='lowpass'||kind==='highpass'){
+    const Oc=warp(f1);
+    sPoles.push(...proto.poles.map(p=> kind==='lowpass'? {re:p.re*Oc, im:p.im*Oc} : divC({re:Oc,im:0}, p)));
+    sZeros.push(...proto.zeros.map(z=> kind==='lowpass'? {re:z.re*Oc, im:z.im*Oc} : divC({re:Oc,im:0}, z)));
+    if(kind==='highpass'){ for(let k=0;k<nInf;k++) sZeros.push({re:0,im:0}); }
+    return { sPoles, sZeros, O0 };
+  }
+  const O1=warp(f1), O2=warp(f2), B=O2-O1;
+  O0=Math.sqrt(O1*O2);
+  if(kind==='bandpass'){
+    for(const p of proto.poles){ const [r1,r2]=BLT.quad({re:1,im:0},{re:-(p.re*B),im:-(p.im*B)},{re:O0*O0,im:0}); sPoles.push(r1,r2); }
+    for(const z of proto.zeros){ const [r1,r2]=BLT.quad({re:1,im:0},{re:-(z.re*B),im:-(z.im*B)},{re:O0*O0,im:0}); sZeros.push(r1,r2); }
+    for(let k=0;k<nInf;k++) sZeros.push({re:0,im:0});
+  } else {
+    for(const p of proto.poles){ const [r1,r2]=BLT.quad({re:p.re,im:p.im},{re:-B,im:0},{re:p.re*O0*O0,im:p.im*O0*O0}); sPoles.push(r1,r2); }
+    for(const z of proto.zeros){ const [r1,r2]=BLT.quad({re:z.re,im:z.im},{re:-B,im:0},{re:z.re*O0*O0,im:z.im*O0*O0}); sZeros.push(r1,r2); }
+    for(let k=0;k<nInf;k++){ sZeros.push({re:0,im:O0},{re:0,im:-O0}); }
+  }
+  return { sPoles, sZeros, O0 };
+}
+
 export class IIRDesigner {
   constructor(spec){
-    this.spec = spec; // {family, kind, N, Rp?, Rs?, Fs, f1, f2?}
+    this.spec = spec; // {family, kind, N, Rp?, Rs?, Fs, f1, f2?, besselNorm?, transform?, pairing?, sectionOrder?, scale?}
   }
   design(){
     const { family, kind, Fs } = this.spec;
@@ -22,57 +50,61 @@ export class IIRDesigner {
       case 'butter': proto=Prototypes.butter(N); break;
       case 'cheby1': proto=Prototypes.cheby1(N, Rp); break;
       case 'cheby2': proto=Prototypes.cheby2(N, Rs); break;
-      case 'ellip':  proto=Prototypes.ellipHybrid(N, Rp, Rs); break;
+      case 'ellip':  proto=Prototypes.ellip(N, Rp, Rs); break;
+      case 'ellipHybrid': proto=Prototypes.ellipHybrid(N, Rp, Rs); break;
       case 'linkwitz': {
         const lr=Prototypes.linkwitzRiley(N);
         N=lr.enforcedOrder ?? N;
         proto={poles:lr.poles, zeros:[]};
         break;
       }
-      case 'bessel': proto=Prototypes.bessel(N); break;
+      case 'bessel': proto=Prototypes.bessel(N, this.spec.besselNorm ?? 'mag'); break;
       default: proto=Prototypes.butter(N);
     }
     proto.family=family; proto.order=N;
 
-    // Map + BLT
-    let zPoles=[], zZeros=[];
-    if(kind==='lowpass'||kind==='highpass'){
-      const Oc=BLT.prewarp(f1,Fs);
-      const sPoles=proto.poles.map(p=> kind==='lowpass'? {re:p.re*Oc, im:p.im*Oc} : divC({re:Oc,im:0}, p));
-      const sZeros=proto.zeros.map(z=> kind==='lowpass'? {re:z.re*Oc, im:z.im*Oc} : divC({re:Oc,im:0}, z));
-      zPoles=sPoles.map(s=>BLT.sToZ(s,Fs));
-      zZeros=sZeros.map(s=>BLT.sToZ(s,Fs));
-      if((['butter','cheby1','bessel','linkwitz'].includes(family)) && kind==='highpass'){
-        for(let k=0;k<N;k++) zZeros.push({re:1,im:0});
-      }
-    } else {
+    // Frequency transformation to an analog zpk; zeros at s=∞ stay implicit
+    const transform=this.spec.transform ?? 'bilinear', bilinear=transform==='bilinear';
+    if(kind!=='lowpass' && kind!=='highpass'){
       if(!f2) throw new Error('bandpass/bandstop require f2');
       if(f2<f1){ const t=f1; f1=f2; f2=t; }
-      const O1=BLT.prewarp(f1,Fs), O2=BLT.prewarp(f2,Fs), B=O2-O1, O0=Math.sqrt(O1*O2);
-      const sPoles=[], sZeros=[];
-      if(kind==='bandpass'){
-        for(const p of proto.poles){ const [r1,r2]=BLT.quad({re:1,im:0},{re:-(p.re*B),im:-(p.im*B)},{re:O0*O0,im:0}); sPoles.push(r1,r2); }
-        for(const z of proto.zeros){ const [r1,r2]=BLT.quad({re:1,im:0},{re:-(z.re*B),im:-(z.im*B)},{re:O0*O0,im:0}); sZeros.push(r1,r2); }
-        if(['butter','cheby1','bessel','linkwitz'].includes(family)){ for(let k=0;k<N;k++) sZeros.push({re:0,im:0}); }
-        zPoles=sPoles.map(s=>BLT.sToZ(s,Fs)); zZeros=sZeros.map(s=>BLT.sToZ(s,Fs));
-        if(['butter','cheby1','bessel','linkwitz'].includes(family)){ for(let k=0;k<N;k++) zZeros.push({re:-1,im:0}); }
-        else if(family==='cheby2' && (N%2===1)){ zZeros.push({re:1,im:0},{re:-1,im:0}); }
-      } else {
-        for(const p of proto.poles){ const [r1,r2]=BLT.quad({re:p.re,im:p.im},{re:-B,im:0},{re:p.re*O0*O0,im:p.im*O0*O0}); sPoles.push(r1,r2); }
-        for(const z of proto.zeros){ const [r1,r2]=BLT.quad({re:z.re,im:z.im},{re:-B,im:0},{re:z.re*O0*O0,im:z.im*O0*O0}); sZeros.push(r1,r2); }
-        for(let k=0;k<N;k++){ sZeros.push({re:0,im:O0},{re:0,im:-O0}); }
+    }
+    const { sPoles, sZeros, O0 } = analogZPK(proto, kind, f1, f2, f=> bilinear ? BLT.prewarp(f,Fs) : 2*Math.PI*f);
+
+    // s -> z; the gain is fixed by the normalization below
+    let zPoles, zZeros, delay=0;
+    switch(transform){
+      case 'bilinear':
         zPoles=sPoles.map(s=>BLT.sToZ(s,Fs)); zZeros=sZeros.map(s=>BLT.sToZ(s,Fs));
-      }
+        while(zZeros.length<zPoles.length) zZeros.push({re:-1,im:0}); // s=∞ -> Nyquist
+        break;
+      case 'matchedZ': ({ poles:zPoles, zeros:zZeros } = Discretize.matchedZ(sZeros, sPoles, 1, Fs)); break;
+      case 'impulseInvariance':
+        if(kind==='highpass'||kind==='bandstop') throw new Error('impulse invariance aliases highpass/bandstop responses; use bilinear or matchedZ');
+        ({ poles:zPoles, zeros:zZeros } = Discretize.impulseInvariance(sZeros, sPoles, 1, Fs));
+        delay=zPoles.length-zZeros.length; // h[0] = 0: one sample per missing zero
+        break;
+      default: throw new Error(`unknown transform '${transform}'`);
     }
 
-    // SOS + gain normalization
-    const sections = SOS.fromZPK(zZeros, zPoles, 1);
+    // SOS + gain normalization at the image of the prototype's s=0
+    const { pairing, sectionOrder, scale } = this.spec;
+    // Zeros at the origin stand in for the delay while pairing (see SOS.delay)
+    const sections = SOS.fromZPK(zZeros.concat(Array.from({length:delay}, ()=>({re:0,im:0}))), zPoles, 1, { pairing, order:sectionOrder });
+    SOS.delay(sections, delay);
     let wRef=0;
     if(kind==='highpass') wRef=Math.PI;
-    if(kind==='bandpass'){ const f0=Math.sqrt(f1*f2); wRef=2*Math.PI*(f0/Fs); }
-    const Href=Response.H_w_IIR(sections, wRef), g=1/(Math.hypot(Href.re,Href.im)||1e-12);
+    if(kind==='bandpass') wRef=bilinear ? 2*Math.atan(O0/(2*Fs)) : O0/Fs;
+    const Href=Response.H_w_IIR(sections, wRef), g=(proto.dcGain ?? 1)/(Math.hypot(Href.re,Href.im)||1e-12);
     sections[0].b=[sections[0].b[0]*g, sections[0].b[1]*g, sections[0].b[2]*g];
+    if(scale && scale!=='none') SOS.scale(sections, scale);
+
+    // Analog reference at the unwarped band edges, with the same gain at the reference frequency
+    const ref=bilinear ? analogZPK(proto, kind, f1, f2, f=>2*Math.PI*f) : { sPoles, sZeros, O0 };
+    const unit=AnalogFilter.fromZPK(ref.sZeros, ref.sPoles, 1, Fs);
+    const aRef=kind==='highpass' ? 1 : Cx.abs(unit.H(kind==='bandpass' ? ref.O0 : 0));
+    const analog=AnalogFilter.fromZPK(ref.sZeros, ref.sPoles, (proto.dcGain ?? 1)/(aRef||1e-12), Fs);
 
-    return new IIRFilter({sections, Fs, zPoles, zZeros});
+    return new IIRFilter({sections, Fs, zPoles, zZeros, analog});
   }
 }
@@ -3,20 +3,38 @@ export * from "./core/Complex.js";
 export * from "./core/util.js";
 export * from "./core/Polynomial.js";
 export * from "./core/Roots.js";
+export * from "./core/Elliptic.js";
+export * from "./core/FFT.js";
 
 export * from "./analog/Prototypes.js";
 
 export * from "./digital/BLT.js";
+export * from "./digital/Discretize.js";
 export * from "./digital/SOS.js";
+export * from "./digital/Convert.js";
+export * from "./digital/Analysis.js";
 export * from "./digital/Response.js";
+export * from "./digital/FilterEngine.js";
+export * from "./digital/Order.js";
 
 export * from "./fir/Windows.js";
+export * from "./fir/Remez.js";
+export * from "./fir/LeastSquares.js";
+export * from "./fir/FreqSampling.js";
 export * from "./fir/FIRDesigner.js";
 export * from "./fir/FIRZeros.js";
+export * from "./fir/MinimumPhase.js";
+export * from "./fir/Analytic.js";
 
 export * from "./iir/IIRDesigner.js";
+export * from "./iir/BiquadDesigner.js";
 
 export * from "./model/FIRFilter.js";
 export * from "./model/IIRFilter.js";
+export * from "./model/AnalogFilter.js";
+export * from "./multirate/Polyphase.js";
+export * from "./multirate/Resample.js";
+export * from "./multirate/FractionalDelay.js";
+export * from "./model/EQ.js";
 
 export * from "./dsp-filter-library.js";
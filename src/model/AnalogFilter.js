@@ -0,0 +1,120 @@
+// Analog (s-domain) filter model: H(s) = k * prod(s - z_i) / prod(s - p_j)
+// Fs, when present, is the sample rate of the digital design this is the reference for; it sets the default frequency range
+import { Cx } from "../core/Complex.js";
+import { linspace, unwrapPhase } from "../core/util.js";
+import { Response } from "../digital/Response.js";
+import { Discretize } from "../digital/Discretize.js";
+
+// Grid options are checked key by key, so a misspelled key ({fMin}, {log:true}) fails instead of being ignored
+function checkKeys(opts, allowed, what){
+  const bad=Object.keys(opts).filter(k=>!allowed.includes(k));
+  if(bad.length) throw new Error(`unknown ${what} option ${bad.map(k=>`'${k}'`).join(', ')} (expected ${allowed.join(', ')})`);
+}
+
+export class AnalogFilter {
+  constructor(init){ this.init = init; } // {zeros, poles, k, Fs?}
+  static fromZPK(zeros, poles, k=1, Fs){
+    if(zeros.length>poles.length) throw new Error('analog filter needs at least as many poles as zeros');
+    return new AnalogFilter({ zeros:zeros.map(z=>({ re:z.re, im:z.im ?? 0 })), poles:poles.map(p=>({ re:p.re, im:p.im ?? 0 })), k, Fs });
+  }
+
+  get type(){ return 'analog'; }
+  get zeros(){ return this.init.zeros; }
+  get poles(){ return this.init.poles; }
+  get gain(){ return this.init.k; }
+  get Fs(){ return this.init.Fs; }
+  zpk(){ return { z:this.zeros.slice(), p:this.poles.slice(), k:this.gain }; }
+
+  // H(jΩ), Ω in rad/s
+  H(Omega){
+    const s={re:0, im:Omega};
+    let num={re:this.gain, im:0}, den={re:1, im:0};
+    for(const z of this.zeros) num=Cx.mul(num, Cx.sub(s, z));
+    for(const p of this.poles) den=Cx.mul(den, Cx.sub(s, p));
+    return Cx.div(num, den);
+  }
+  // Exact group delay in seconds: each root r adds ±Re(r)/(Re(r)² + (Ω - Im(r))²); zeros on the jΩ axis add nothing
+  groupDelay(Omega){
+    const term=r=>{ const d=r.re*r.re+(Omega-r.im)*(Omega-r.im); return d>0 ? r.re/d : 0; };
+    let gd=0;
+    for(const z of this.zeros) gd+=term(z);
+    for(const p of this.poles) gd-=term(p);
+    return gd;
+  }
+
+  // Frequencies in rad/s from a list (Hz, or rad/s with units 'rad') or {n=512, scale:'linear'|'log', fmin, fmax}.
+  // fmax defaults to Fs/2, or without Fs to ten times the largest pole/zero magnitude
+  freqPoints(points={}, units='hz'){
+    if(units!=='hz' && units!=='rad') throw new Error(`unknown frequency units '${units}'`);
+    const toO=units==='hz' ? f=>2*Math.PI*f : f=>f, fromO=units==='hz' ? O=>O/(2*Math.PI) : O=>O;
+    if(Array.isArray(points) || ArrayBuffer.isView(points)) return Array.from(points, toO);
+    checkKeys(points, ['n', 'scale', 'fmin', 'fmax'], 'frequency grid');
+    const { n=512, scale='linear' } = points;
+    if(!(n>=1 && Number.isInteger(n))) throw new Error('number of frequency points must be a positive integer');
+    const roots=[...this.poles, ...this.zeros].map(r=>Cx.abs(r));
+    const fmax=points.fmax ?? (this.Fs ? fromO(Math.PI*this.Fs) : fromO(10*Math.max(1, ...roots)));
+    if(scale==='log'){
+      const fmin=points.fmin ?? fmax/1000;
+      if(!(fmin>0 && fmax>fmin)) throw new Error('log-spaced frequencies need 0 < fmin < fmax');
+      if(n===1) return [toO(fmin)];
+      return Array.from({length:n}, (_,i)=>toO(fmin*Math.pow(fmax/fmin, i/(n-1))));
+    }
+    if(scale!=='linear') throw new Error(`unknown frequency scale '${scale}'`);
+    const fmin=points.fmin ?? 0;
+    return n===1 ? [toO(fmin)] : linspace(toO(fmin), toO(fmax), n);
+  }
+
+  // freqs: response at the given points (see freqPoints) with magnitude, unwrapped phase and group delay in seconds
+  freqs(points={}, { units='hz' }={}){
+    const w=this.freqPoints(points, units), H=w.map(O=>this.H(O));
+    const phRad=unwrapPhase(H.map(h=>Math.atan2(h.im, h.re)));
+    return {
+      w, freqHz:w.map(O=>O/(2*Math.PI)), H, mag:H.map(h=>Cx.abs(h)), magdB:H.map(Response.magDbFromH),
+      phaseRad:phRad, phaseDeg:phRad.map(v=>v*180/Math.PI), gdSeconds:w.map(O=>this.groupDelay(O))
+    };
+  }
+
+  // Continuous-time responses at the given times (s) or on {n=512, tEnd}, tEnd defaulting to ten time constants of the
+  // slowest pole. The impulse response leaves out the direct term, reported as `direct` (the weight of δ(t))
+  impulseResponse(times={}){ return timeResponse(this.zeros, this.poles, this.gain, this.timePoints(times)); }
+  stepResponse(times={}){
+    const { t, y } = timeResponse(this.zeros, [...this.poles, {re:0, im:0}], this.gain, this.timePoints(times));
+    return { t, y };
+  }
+  timePoints(times){
+    if(Array.isArray(times) || ArrayBuffer.isView(times)) return Array.from(times);
+    checkKeys(times, ['n', 'tEnd'], 'time grid');
+    const slow=Math.min(...this.poles.map(p=>Math.abs(p.re)).filter(v=>v>0));
+    const { n=512, tEnd=Number.isFinite(slow) ? 10/slow : 1 } = times;
+    if(!(n>=1 && Number.isInteger(n))) throw new Error('number of time points must be a positive integer');
+    if(!(tEnd>0)) throw new Error('tEnd must be a positive number of seconds');
+    return n===1 ? [0] : linspace(0, tEnd, n);
+  }
+
+  // Digital minus analog response at the same frequencies (Hz), e.g. the warping error of a bilinear design.
+  // Phase differences are wrapped to (-180, 180] degrees, group delay differences are in seconds
+  compare(digital, points={}){
+    const f=Array.isArray(points) || ArrayBuffer.isView(points) ? Array.from(points) : this.freqPoints({ fmax:digital.Fs/2, ...points }).map(O=>O/(2*Math.PI));
+    const d=digital.freqz(f), a=this.freqs(f);
+    const magErrordB=f.map((_,i)=>d.magdB[i]-a.magdB[i]);
+    const phaseErrorDeg=f.map((_,i)=>{ const e=(d.phaseDeg[i]-a.phaseDeg[i])%360; return e>180 ? e-360 : e<=-180 ? e+360 : e; });
+    const gdErrorSeconds=f.map((_,i)=>d.gdSamples[i]/digital.Fs-a.gdSeconds[i]);
+    return { freqHz:f, magErrordB, phaseErrorDeg, gdErrorSeconds, maxMagErrordB:Math.max(0, ...magErrordB.map(Math.abs)) };
+  }
+}
+
+// Sum of residue terms A t^(m-1) e^(pt)/(m-1)! (real part); zero before t = 0
+function timeResponse(zeros, poles, k, t){
+  const { terms, direct } = Discretize.residues(zeros, poles, k);
+  const y=t.map(ti=>{
+    if(ti<0) return 0;
+    let acc=0;
+    for(const { p, A } of terms){
+      const e=Math.exp(p.re*ti), ep={re:e*Math.cos(p.im*ti), im:e*Math.sin(p.im*ti)};
+      let pw=1;
+      A.forEach((a, m)=>{ if(m>0) pw*=ti/m; acc+=pw*(a.re*ep.re-a.im*ep.im); });
+    }
+    return acc;
+  });
+  return { t, y, direct };
+}
@@ -0,0 +1,49 @@
+// Parametric / graphic equalizer: one RBJ biquad per band, cascaded into a single IIRFilter
+import { IIRFilter } from "./IIRFilter.js";
+import { Response } from "../digital/Response.js";
+import { BiquadDesigner } from "../iir/BiquadDesigner.js";
+
+function designBand(band, Fs){ return new BiquadDesigner({ ...band, Fs }).design(); }
+
+export class EQ extends IIRFilter {
+  // bands: [{kind='peaking', f0, gaindB, Q | BW | S}]; sections[i] is band i
+  constructor({ Fs, bands=[] }){
+    const own=bands.map(b=>({ kind:'peaking', ...b })), designed=own.map(b=>designBand(b, Fs));
+    super({ sections:designed.map(f=>f.sections[0]), Fs, zPoles:[], zZeros:[] });
+    this._bands=own;
+    this._roots=designed.map(f=>({ zPoles:f.zPoles, zZeros:f.zZeros }));
+  }
+  get bands(){ return this._bands.map(b=>({ ...b })); }
+  get zPoles(){ return this._roots.flatMap(r=>r.zPoles); }
+  get zZeros(){ return this._roots.flatMap(r=>r.zZeros); }
+
+  // Redesigns band i only; its section is replaced in place and the streaming state is kept
+  updateBand(i, changes){
+    if(!(i>=0 && i<this._bands.length)) throw new Error(`EQ has no band ${i}`);
+    const band={ ...this._bands[i], ...changes }, f=designBand(band, this.Fs);
+    this._bands[i]=band;
+    this.sections[i]=f.sections[0];
+    this._roots[i]={ zPoles:f.zPoles, zZeros:f.zZeros };
+    return this;
+  }
+
+  // Combined response; opts.bands adds bandsdB[i], the magnitude of band i on the same grid
+  frequencyGrid(Nf=1024, opts={}){
+    const grid=super.frequencyGrid(Nf, opts);
+    if(opts.bands){
+      const k=opts.zeroPhase ? 2 : 1;
+      grid.bandsdB=this.sections.map(s=>Response.gridIIR([s], grid.w.length).map(H=>k*Response.magDbFromH(H)));
+    }
+    return grid;
+  }
+
+  // Graphic EQ: one peaking band per gain, centers log-spaced from fLow to fHigh, Q set by the band spacing.
+  // The default fHigh is capped at 0.45·Fs so low sample rates work without options
+  static graphic(Fs, gainsdB, { fLow=31.25, fHigh=Math.min(16000, 0.45*Fs) }={}){
+    const n=gainsdB.length;
+    if(n<2) throw new Error('graphic EQ needs at least two bands');
+    if(!(fLow>0 && fHigh<Fs/2 && fLow<fHigh)) throw new Error('graphic EQ band range must lie in (0, Fs/2)');
+    const r=Math.pow(fHigh/fLow, 1/(n-1)), Q=Math.sqrt(r)/(r-1);
+    return new EQ({ Fs, bands:gainsdB.map((g,i)=>({ kind:'peaking', f0:fLow*Math.pow(r, i), gaindB:g, Q })) });
+  }
+}
@@ -1,22 +1,87 @@
 // FIR filter model
 import { linspace, unwrapPhase } from "../core/util.js";
 import { Response } from "../digital/Response.js";
+import { FilterEngine } from "../digital/FilterEngine.js";
 import { FIRZeros } from "../fir/FIRZeros.js";
+import { MinimumPhase } from "../fir/MinimumPhase.js";
+import { Analysis } from "../digital/Analysis.js";
+
+// Delay-line values for setState / filter({zi}): taps.length - 1 of them
+function checkState(taps, zi){
+  const n=Math.max(0, taps.length-1);
+  if(zi.length!==n) throw new Error(`FIR state needs ${n} values (taps.length - 1), got ${zi.length}`);
+  return Float64Array.from(zi);
+}
 
 export class FIRFilter {
-  constructor(init){ this.init = init; this._zeros = null; } // {taps, Fs}
+  constructor(init){ this.init = init; this._zeros = null; this._nz = FilterEngine.nonzero(init.taps); this.reset(); } // {taps, Fs, info?}
+  static fromTaps(taps, Fs=1){
+    if(!(Array.isArray(taps) || ArrayBuffer.isView(taps)) || !taps.length) throw new Error('taps must be a non-empty array');
+    if(!Array.prototype.every.call(taps, Number.isFinite)) throw new Error('taps must contain finite numbers');
+    if(!(Fs>0 && Number.isFinite(Fs))) throw new Error('Fs must be a positive number');
+    return new FIRFilter({ taps:Array.from(taps), Fs });
+  }
+
   get type(){ return 'FIR'; }
   get taps(){ return this.init.taps; }
   get Fs(){ return this.init.Fs; }
+  get info(){ return this.init.info ?? {}; }
 
   impulseResponse(L=256){ return this.taps.slice(0,L); }
   zeros(){ if(!this._zeros) this._zeros = FIRZeros.fromTapsRobust(this.taps); return this._zeros; }
 
-  frequencyGrid(Nf=1024){
-    const w=linspace(0,Math.PI,Nf), magdB=[], phRad=[];
-    for(const wi of w){ const H=Response.H_w_FIR(this.taps, wi); magdB.push(Response.magDbFromH(H)); phRad.push(Math.atan2(H.im,H.re)); }
-    const phU=unwrapPhase(phRad), gd=Response.groupDelay(phU, w), pd=Response.phaseDelay(phU, w);
+  // Reports (see Analysis): all poles sit at the origin, so FIR filters are always stable
+  isStable(tol){ return Analysis.stability([], tol); }
+  isMinimumPhase(tol){ return Analysis.phase(this.zeros(), [], tol); }
+  isMaximumPhase(tol){ return Analysis.phase(this.zeros(), [], tol); }
+  linearPhaseType(tol){ return Analysis.linearPhase(this.taps, tol); }
+
+  // Same magnitude, minimum phase. method 'homomorphic' (opts {half, nfft}, see MinimumPhase) or 'reflect';
+  // info reports the group delay before and after at the frequency of peak gain
+  toMinimumPhase({ method='homomorphic', ...opts }={}){
+    let taps;
+    if(method==='homomorphic') taps=MinimumPhase.homomorphic(this.taps, opts);
+    else if(method==='reflect') taps=MinimumPhase.reflect(this.taps);
+    else throw new Error(`unknown minimum-phase method '${method}'`);
+    const d=MinimumPhase.delayReport(this.taps, taps);
+    const info={ method:'minimumPhase', conversion:method, source:this.info, freqHz:d.w/Math.PI*(this.Fs/2), groupDelay:d.groupDelay, sourceGroupDelay:d.sourceGroupDelay };
+    return new FIRFilter({ taps, Fs:this.Fs, info });
+  }
+
+  // Steady-state delay line (input history, oldest first) for a unit step (lfilter_zi)
+  zi(){ return Array.from(FilterEngine.firZi(this.taps)); }
+
+  // Streaming: delay line carries over between calls; reset(x0) primes it for a constant input x0
+  reset(x0){
+    this._hist = x0==null ? new Float64Array(Math.max(0, this.taps.length-1)) : FilterEngine.firZi(this.taps).map(v=>v*x0);
+    return this;
+  }
+  getState(){ return Array.from(this._hist); }
+  setState(zi){ this._hist = checkState(this.taps, zi); return this; }
+  process(block){ return FilterEngine.fir(this.taps, this._hist, block, this._nz); }
+  // One-shot; starts from rest, from opts.zi, or with opts.steadyState from zi() scaled by x[0]. Does not touch the streaming state
+  filter(x, opts={}){
+    let hist;
+    if(opts.zi) hist=checkState(this.taps, opts.zi);
+    else if(opts.steadyState) hist=FilterEngine.firZi(this.taps).map(v=>v*(x[0]??0));
+    else hist=new Float64Array(Math.max(0, this.taps.length-1));
+    return FilterEngine.fir(this.taps, hist, x, this._nz);
+  }
+  // Zero-phase forward-backward pass; opts {padtype:'odd'|'even'|'constant'|'none', padlen}
+  filtfilt(x, opts={}){ return FilterEngine.firfiltfilt(this.taps, x, opts); }
+
+  // Response at chosen points: frequencies in Hz (opts.units 'rad' for rad/sample) or {n, whole, scale:'log', fmin, fmax}; see Response.freqPoints
+  freqz(points={}, { units='hz' }={}){
+    return Response.freqzWith(w=>Response.H_w_FIR(this.taps, w), points, this.Fs, units, w=>Response.groupDelayFIR(this.taps, w));
+  }
+
+  // opts.zeroPhase reports the effective filtfilt response
+  frequencyGrid(Nf=1024, opts={}){
+    const w=linspace(0,Math.PI,Nf), H=Response.gridFIR(this.taps, Nf);
+    const magdB=H.map(Response.magDbFromH), phRad=H.map(h=>Math.atan2(h.im,h.re));
+    const phU=unwrapPhase(phRad), gd=Response.gridGroupDelayFIR(this.taps, Nf), pd=Response.phaseDelay(phU, w);
     const freqHz=w.map(wi=> wi/Math.PI*(this.Fs/2)), phaseDeg=phU.map(v=>v*180/Math.PI);
-    return { w, freqHz, magdB, phaseDeg, gdSamples:gd, pdSamples:pd };
+    const grid={ w, freqHz, magdB, phaseDeg, gdSamples:gd, pdSamples:pd };
+    return opts.zeroPhase ? Response.zeroPhaseGrid(grid) : grid;
   }
 }
@@ -1,14 +1,78 @@
 // IIR filter model
 import { linspace, unwrapPhase } from "../core/util.js";
 import { Response } from "../digital/Response.js";
+import { FilterEngine } from "../digital/FilterEngine.js";
+import { Convert } from "../digital/Convert.js";
+import { SOS } from "../digital/SOS.js";
+import { Analysis } from "../digital/Analysis.js";
+
+function checkCoeffs(c, what){
+  if(!(Array.isArray(c) || ArrayBuffer.isView(c)) || !c.length) throw new Error(`${what} must be a non-empty array`);
+  if(!Array.prototype.every.call(c, Number.isFinite)) throw new Error(`${what} must contain finite numbers`);
+  return Array.from(c);
+}
+function checkFs(Fs){ if(!(Fs>0 && Number.isFinite(Fs))) throw new Error('Fs must be a positive number'); return Fs; }
+function checkRoots(r, what){
+  if(!Array.isArray(r) || r.some(v=>!Number.isFinite(v?.re) || !Number.isFinite(v?.im ?? 0))) throw new Error(`${what} must be an array of {re, im}`);
+  return r.map(v=>({ re:v.re, im:v.im ?? 0 }));
+}
+
+// Per-section [z1, z2] pairs (or the flat list) for setState / filter({zi}): two values per section
+function checkState(sections, zi){
+  const flat=Array.from(zi).flat(), n=2*sections.length;
+  if(flat.length!==n) throw new Error(`IIR state needs ${n} values (two per section), got ${flat.length}`);
+  return Float64Array.from(flat);
+}
 
 export class IIRFilter {
-  constructor(init){ this.init = init; } // {sections, Fs, zPoles, zZeros}
+  constructor(init){ this.init = init; this.reset(); } // {sections, Fs, zPoles, zZeros, analog?}
+  // From external coefficients; the missing representations are derived (roots via Roots, sections via SOS.fromZPK)
+  static fromTF(b, a, Fs=1, opts){
+    b=checkCoeffs(b, 'b'); a=checkCoeffs(a, 'a');
+    if(!a[0]) throw new Error('a[0] must be nonzero');
+    const { z, p } = Convert.tf2zpk(b, a);
+    return new IIRFilter({ sections:Convert.tf2sos(b, a, opts), Fs:checkFs(Fs), zPoles:p, zZeros:z });
+  }
+  // matrix: rows [b0, b1, b2, a0, a1, a2] (MATLAB/SciPy layout) or {b, a} sections; each row is normalized to a0 = 1
+  static fromSOS(matrix, Fs=1){
+    if(!Array.isArray(matrix) || !matrix.length) throw new Error('SOS matrix must be a non-empty array of sections');
+    const sections=matrix.map((row, i)=>{
+      const r=checkCoeffs(row.b && row.a ? [...row.b, ...row.a] : row, `SOS row ${i}`);
+      if(r.length!==6) throw new Error(`SOS row ${i} must have 6 coefficients [b0, b1, b2, a0, a1, a2]`);
+      if(!r[3]) throw new Error(`SOS row ${i} has a0 = 0`);
+      return { b:r.slice(0,3).map(v=>v/r[3]), a:[1, r[4]/r[3], r[5]/r[3]] };
+    });
+    const { z, p } = Convert.sos2zpk(sections);
+    return new IIRFilter({ sections, Fs:checkFs(Fs), zPoles:p, zZeros:z });
+  }
+  // opts as in SOS.fromZPK ({pairing, order, scale})
+  static fromZPK(z, p, k, Fs=1, opts){
+    z=checkRoots(z, 'zeros'); p=checkRoots(p, 'poles');
+    if(!Number.isFinite(k)) throw new Error('gain k must be a finite number');
+    return new IIRFilter({ sections:SOS.fromZPK(z, p, k, opts), Fs:checkFs(Fs), zPoles:p, zZeros:z });
+  }
+
   get type(){ return 'IIR'; }
   get sections(){ return this.init.sections; }
   get Fs(){ return this.init.Fs; }
   get zPoles(){ return this.init.zPoles; }
   get zZeros(){ return this.init.zZeros; }
+  // Analog reference the designer discretized (AnalogFilter at the unwarped band edges); null for filters from coefficients
+  get analog(){ return this.init.analog ?? null; }
+
+  // Other representations (see Convert): tf() {b, a}; zpk() {z, p, k} from the stored roots; ss() {A, B, C, D}
+  tf(){ return Convert.sos2tf(this.sections); }
+  zpk(){
+    let k=1;
+    for(const s of this.sections){ const i=s.b.findIndex(v=>v!==0); k*=i<0 ? 0 : s.b[i]/(s.a[0]||1); }
+    return { z:this.zZeros.slice(), p:this.zPoles.slice(), k };
+  }
+  ss(){ const { b, a } = this.tf(); return Convert.tf2ss(b, a); }
+
+  // Reports from zPoles/zZeros (see Analysis); tol is the distance from the unit circle that counts as on it
+  isStable(tol){ return Analysis.stability(this.zPoles, tol); }
+  isMinimumPhase(tol){ return Analysis.phase(this.zZeros, this.zPoles, tol); }
+  isMaximumPhase(tol){ return Analysis.phase(this.zZeros, this.zPoles, tol); }
 
   impulseResponse(L=256){
     const x=new Array(L).fill(0); x[0]=1; let buf=x.slice();
@@ -21,11 +85,40 @@ export class IIRFilter {
     return buf;
   }
 
-  frequencyGrid(Nf=1024){
-    const w=linspace(0,Math.PI,Nf), magdB=[], phRad=[];
-    for(const wi of w){ const H=Response.H_w_IIR(this.sections, wi); magdB.push(Response.magDbFromH(H)); phRad.push(Math.atan2(H.im,H.re)); }
-    const phU=unwrapPhase(phRad), gd=Response.groupDelay(phU, w), pd=Response.phaseDelay(phU, w);
+  // Steady-state [z1,z2] per section for a unit step (sosfilt_zi)
+  zi(){ const zi=FilterEngine.sosZi(this.sections); return this.sections.map((_,s)=>[zi[2*s], zi[2*s+1]]); }
+
+  // Streaming: per-section [z1,z2] carries over between calls; reset(x0) primes it for a constant input x0
+  reset(x0){
+    this._state = x0==null ? new Float64Array(2*this.sections.length) : FilterEngine.sosZi(this.sections).map(v=>v*x0);
+    return this;
+  }
+  getState(){ return this.sections.map((_,s)=>[this._state[2*s], this._state[2*s+1]]); }
+  setState(zi){ this._state = checkState(this.sections, zi); return this; }
+  process(block){ return FilterEngine.sos(this.sections, this._state, block); }
+  // One-shot; starts from rest, from opts.zi, or with opts.steadyState from zi() scaled by x[0]. Does not touch the streaming state
+  filter(x, opts={}){
+    let state;
+    if(opts.zi) state=checkState(this.sections, opts.zi);
+    else if(opts.steadyState) state=FilterEngine.sosZi(this.sections).map(v=>v*(x[0]??0));
+    else state=new Float64Array(2*this.sections.length);
+    return FilterEngine.sos(this.sections, state, x);
+  }
+  // Zero-phase forward-backward pass; opts {padtype:'odd'|'even'|'constant'|'none', padlen}
+  filtfilt(x, opts={}){ return FilterEngine.sosfiltfilt(this.sections, x, opts); }
+
+  // Response at chosen points: frequencies in Hz (opts.units 'rad' for rad/sample) or {n, whole, scale:'log', fmin, fmax}; see Response.freqPoints
+  freqz(points={}, { units='hz' }={}){
+    return Response.freqzWith(w=>Response.H_w_IIR(this.sections, w), points, this.Fs, units, w=>Response.groupDelayIIR(this.sections, w));
+  }
+
+  // opts.zeroPhase reports the effective filtfilt response
+  frequencyGrid(Nf=1024, opts={}){
+    const w=linspace(0,Math.PI,Nf), H=Response.gridIIR(this.sections, Nf);
+    const magdB=H.map(Response.magDbFromH), phRad=H.map(h=>Math.atan2(h.im,h.re));
+    const phU=unwrapPhase(phRad), gd=Response.gridGroupDelayIIR(this.sections, Nf), pd=Response.phaseDelay(phU, w);
     const freqHz=w.map(wi=> wi/Math.PI*(this.Fs/2)), phaseDeg=phU.map(v=>v*180/Math.PI);
-    return { w, freqHz, magdB, phaseDeg, gdSamples:gd, pdSamples:pd };
+    const grid={ w, freqHz, magdB, phaseDeg, gdSamples:gd, pdSamples:pd };
+    return opts.zeroPhase ? Response.zeroPhaseGrid(grid) : grid;
   }
 }
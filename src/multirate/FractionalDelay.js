@@ -0,0 +1,110 @@
+// Fractional-delay filters: Lagrange and windowed-sinc FIR, Thiran allpass IIR, and a Farrow structure whose delay can change
+// every sample. Delays are total delays in samples; the FIR designs start the kernel late enough to keep the fractional part central
+import { Cx } from "../core/Complex.js";
+import { Roots } from "../core/Roots.js";
+import { Windows } from "../fir/Windows.js";
+import { FilterEngine } from "../digital/FilterEngine.js";
+import { FIRFilter } from "../model/FIRFilter.js";
+import { IIRFilter } from "../model/IIRFilter.js";
+
+function checkDelay(D){ if(!(D>=0 && Number.isFinite(D))) throw new Error('delay must be a non-negative number of samples'); return D; }
+function checkOrder(N){ if(!(Number.isInteger(N) && N>=1)) throw new Error('fractional-delay order must be a positive integer'); return N; }
+// Farrow delays: one number for the block or one per sample (the range is checked per sample by the kernel)
+function checkDelays(delay, n){
+  if(typeof delay==='number') return delay;
+  if(delay==null || typeof delay.length!=='number') throw new Error('Farrow delay must be a number or an array with one delay per sample');
+  if(delay.length!==n) throw new Error(`Farrow delay array has ${delay.length} values for a block of ${n} samples`);
+  return delay;
+}
+
+// Whole samples before an (N+1)-tap kernel so its local delay D - s lies in [(N-1)/2, (N+1)/2) when possible
+function kernelStart(D, N){ return Math.max(0, Math.floor(D-(N-1)/2)); }
+function shifted(s, h){ return new Array(s).fill(0).concat(h); }
+
+// Lagrange basis polynomials for nodes 0..N in ascending powers of d: C[m][n] is the d^m coefficient of L_n(d)
+function lagrangeBasis(N){
+  const C=Array.from({length:N+1}, ()=>new Array(N+1).fill(0));
+  for(let n=0;n<=N;n++){
+    let p=[1], den=1;
+    for(let k=0;k<=N;k++){
+      if(k===n) continue;
+      const q=new Array(p.length+1).fill(0);
+      p.forEach((v,i)=>{ q[i]-=k*v; q[i+1]+=v; });
+      p=q; den*=n-k;
+    }
+    p.forEach((v,m)=>{ C[m][n]=v/den; });
+  }
+  return C;
+}
+
+// Conjugate pairs, then real poles two at a time, then a first-order section for a leftover real pole
+function allpassSections(poles){
+  const sec=a=>({ b:a.slice().reverse(), a });
+  const sections=poles.filter(p=>p.im>1e-12).map(p=>sec([1, -2*p.re, p.re*p.re+p.im*p.im]));
+  const real=poles.filter(p=>Math.abs(p.im)<=1e-12).map(p=>p.re);
+  for(let i=0;i+1<real.length;i+=2) sections.push(sec([1, -(real[i]+real[i+1]), real[i]*real[i+1]]));
+  if(real.length%2) sections.push({ b:[-real[real.length-1], 1, 0], a:[1, -real[real.length-1], 0] });
+  return sections;
+}
+
+export class FractionalDelay {
+  // Lagrange interpolator of order N (N+1 taps after the whole-sample shift): maximally flat delay at DC
+  static lagrange(delay, { order=3, Fs=1 }={}){
+    const D=checkDelay(delay), N=checkOrder(order), s=kernelStart(D, N), d=D-s;
+    const h=Array.from({length:N+1}, (_,n)=>{ let v=1; for(let k=0;k<=N;k++) if(k!==n) v*=(d-k)/(n-k); return v; });
+    return new FIRFilter({ taps:shifted(s, h), Fs, info:{ method:'fractionalDelay', design:'lagrange', delay:D, order:N } });
+  }
+
+  // Windowed sinc with `taps` taps (plus the whole-sample shift) and bandwidth `cutoff` (fraction of Nyquist); unit DC gain.
+  // window is any Windows.byName name, with its options (beta, ...) taken from opts
+  static sinc(delay, { taps=16, window='kaiser', cutoff=1, Fs=1, ...opts }={}){
+    const D=checkDelay(delay);
+    if(!(Number.isInteger(taps) && taps>=2)) throw new Error('windowed-sinc fractional delay needs at least 2 taps');
+    if(!(cutoff>0 && cutoff<=1)) throw new Error('cutoff must lie in (0, 1]');
+    const s=kernelStart(D, taps-1), d=D-s, win=Windows.byName(window, taps, { beta:6, ...opts });
+    const h=win.map((w,n)=>{ const x=cutoff*(n-d); return w*cutoff*(x===0 ? 1 : Math.sin(Math.PI*x)/(Math.PI*x)); });
+    const sum=h.reduce((a,b)=>a+b, 0);
+    return new FIRFilter({ taps:shifted(s, h.map(v=>v/sum)), Fs, info:{ method:'fractionalDelay', design:'sinc', delay:D, window } });
+  }
+
+  // Thiran allpass of order N (default round(delay)): maximally flat group delay at DC; stable for delay > N - 1
+  static thiran(delay, { order, Fs=1 }={}){
+    const D=checkDelay(delay), N=checkOrder(order ?? Math.max(1, Math.round(D)));
+    if(!(D>N-1)) throw new Error(`Thiran allpass of order ${N} is unstable for delay ${D} (needs delay > ${N-1})`);
+    const a=[1];
+    for(let k=1, binom=1; k<=N; k++){
+      binom=binom*(N-k+1)/k;
+      let v=(k%2 ? -1 : 1)*binom;
+      for(let i=0;i<=N;i++) v*=(D-N+i)/(D-N+k+i);
+      a.push(v);
+    }
+    // Allpass sections from the poles, each numerator its denominator reversed, so integer delays keep their z^-N
+    const zPoles=Roots.polyRoots(a), sections=allpassSections(zPoles);
+    const zZeros=zPoles.filter(p=>Cx.abs(p)>0).map(p=>Cx.div({re:1, im:0}, Cx.conj(p)));
+    return new IIRFilter({ sections, Fs, zPoles, zZeros });
+  }
+}
+
+export class Farrow {
+  // spec {order=3, maxDelay=order, Fs=1}: Lagrange interpolation of the given order with the delay (in samples, within
+  // [0, maxDelay]) passed to process() per block or per sample; longer delays cost history, not taps
+  constructor(spec={}){
+    const { order=3, Fs=1 } = spec, maxDelay=checkDelay(spec.maxDelay ?? order);
+    this.order=checkOrder(order); this.maxDelay=maxDelay; this.Fs=Fs;
+    this._C=lagrangeBasis(this.order);
+    this.reset();
+  }
+
+  // Polynomial branch coefficients: coefficients[m][n] weights x[k-s-n] in the d^m branch
+  get coefficients(){ return this._C.map(r=>r.slice()); }
+  // The fixed FIR the structure applies at a constant delay
+  at(delay){
+    if(!(delay>=0 && delay<=this.maxDelay)) throw new Error(`fractional delay ${delay} outside [0, ${this.maxDelay}]`);
+    return FractionalDelay.lagrange(delay, { order:this.order, Fs:this.Fs });
+  }
+
+  reset(){ this._hist=new Float64Array(Math.max(0, Math.floor(this.maxDelay-(this.order-1)/2))+this.order); return this; }
+  // delay: one value for the block or one per sample
+  process(block, delay){ return FilterEngine.farrow(this._C, this._hist, block, checkDelays(delay, block.length), this.maxDelay); }
+  filter(x, delay){ return FilterEngine.farrow(this._C, new Float64Array(this._hist.length), x, checkDelays(delay, x.length), this.maxDelay); }
+}
@@ -0,0 +1,108 @@
+// Polyphase decimator and interpolator with Kaiser-window anti-alias / anti-imaging filters designed from the rate factor
+// Filters are linear phase, so each stage delays by (taps-1)/2 samples at its input (decimator) or output (interpolator) rate
+import { Order } from "../digital/Order.js";
+import { FilterEngine } from "../digital/FilterEngine.js";
+import { FIRDesigner } from "../fir/FIRDesigner.js";
+import { FIRFilter } from "../model/FIRFilter.js";
+
+function checkFactor(factor){
+  if(!(Number.isInteger(factor) && factor>=1)) throw new Error('rate factor must be a positive integer');
+  return factor;
+}
+
+// Lowpass at rate Fs passing [0, fp] and attenuating from fstop by `attenuation` dB
+function designLowpass(Fs, fp, fstop, attenuation){
+  const { taps, beta, Wn } = Order.kaiserord(fp, fstop, undefined, attenuation, Fs);
+  return new FIRDesigner({ kind:'lowpass', taps, Fs, f1:Wn, window:'kaiser', beta }).design();
+}
+
+// Nyquist (M-th band) lowpass at rate Fs passing [0, fp] with the transition mirrored about Fs/(2M); about 1/M of its taps are
+// exact zeros the kernels skip. Tap count from kaiserord, odd, and bumped so the end taps are not among the zeros
+function designNyquist(Fs, M, fp, attenuation){
+  const { taps:N, beta } = Order.kaiserord(fp, Fs/M-fp, undefined, attenuation, Fs);
+  let taps=N%2 ? N : N+1;
+  while(((taps-1)/2)%M===0) taps+=2;
+  return new FIRDesigner({ method:'nyquist', band:M, taps, Fs, window:'kaiser', beta }).design();
+}
+
+// Prime factors, largest first, packed greedily into stages of at most maxStage (larger stages first)
+function stageFactors(M, maxStage){
+  const primes=[]; let r=M;
+  for(let p=2;p*p<=r;p++) while(r%p===0){ primes.push(p); r/=p; }
+  if(r>1) primes.push(r);
+  const stages=[];
+  for(const p of primes.sort((a,b)=>b-a)){
+    const i=stages.findIndex(s=>s*p<=maxStage);
+    if(i>=0) stages[i]*=p; else stages.push(p);
+  }
+  return stages.sort((a,b)=>b-a);
+}
+
+function delayReport(seconds, Fs, FsOut){ return { seconds, inputSamples:seconds*Fs, outputSamples:seconds*FsOut }; }
+
+function decimatorState(stages){ return stages.map(s=>({ hist:new Float64Array(s.filter.taps.length-1), phase:0 })); }
+function decimate(stages, nz, states, x){
+  let y=x;
+  stages.forEach((s,i)=>{ y=FilterEngine.firDecimate(s.filter.taps, s.factor, states[i], y, nz[i]); });
+  return y===x ? FilterEngine.alloc(x, x.length).map((_,i)=>x[i]) : y;
+}
+
+export class Decimator {
+  // spec {factor, Fs=1, attenuation=80 dB, passband=0.8 (fraction of the output Nyquist kept), stages?, maxStage=8, nyquist?, taps?}.
+  // Factors above maxStage are split into stages (or pass stages explicitly); each stage only needs to keep the bands
+  // that would alias into the final passband. nyquist designs each stage as an M-th band filter (half-band for 2), which
+  // lets aliasing into the final transition band through in exchange for the skipped zero taps.
+  // taps replaces the design with a single stage of the given filter
+  constructor(spec){
+    const { factor, Fs=1, attenuation=80, passband=0.8, maxStage=8 } = spec;
+    checkFactor(factor);
+    this.Fs=Fs; this.factor=factor; this.FsOut=Fs/factor;
+    let factors=spec.taps ? [factor] : (spec.stages ?? (factor>maxStage ? stageFactors(factor, maxStage) : [factor]));
+    factors=factors.filter(m=>checkFactor(m)>1);
+    if(factors.reduce((a,b)=>a*b, 1)!==factor) throw new Error(`decimation stages ${factors.join('x')} do not multiply to ${factor}`);
+    const fp=passband*this.FsOut/2;
+    let rate=Fs;
+    this._stages=factors.map(M=>{
+      const filter=spec.taps ? FIRFilter.fromTaps(spec.taps, rate) : spec.nyquist ? designNyquist(rate, M, fp, attenuation) : designLowpass(rate, fp, rate/M-this.FsOut/2, attenuation);
+      const stage={ factor:M, Fs:rate, filter };
+      rate/=M;
+      return stage;
+    });
+    this._nz=this._stages.map(s=>FilterEngine.nonzero(s.filter.taps));
+    this.reset();
+  }
+
+  // [{factor, Fs (rate the stage filter runs at), filter}]
+  get stages(){ return this._stages.map(s=>({ ...s })); }
+  get delay(){ return delayReport(this._stages.reduce((d,s)=>d+(s.filter.taps.length-1)/2/s.Fs, 0), this.Fs, this.FsOut); }
+
+  reset(){ this._state=decimatorState(this._stages); return this; }
+  // Streaming: every stage keeps its history and output phase between blocks
+  process(block){ return decimate(this._stages, this._nz, this._state, block); }
+  // One-shot from rest; does not touch the streaming state
+  filter(x){ return decimate(this._stages, this._nz, decimatorState(this._stages), x); }
+}
+
+export class Interpolator {
+  // spec {factor, Fs=1 (input rate), attenuation=80 dB, passband=0.8 (fraction of the input Nyquist kept), nyquist?, taps?}.
+  // One stage whose filter runs at factor*Fs with gain factor; nyquist makes it an M-th band filter, which passes the input
+  // samples through unchanged; taps replaces the design
+  constructor(spec){
+    const { factor, Fs=1, attenuation=80, passband=0.8 } = spec;
+    checkFactor(factor);
+    this.Fs=Fs; this.factor=factor; this.FsOut=Fs*factor;
+    const design=spec.nyquist ? (r, fp)=>designNyquist(r, factor, fp, attenuation) : (r, fp)=>designLowpass(r, fp, Fs/2, attenuation);
+    const filter=spec.taps ? FIRFilter.fromTaps(spec.taps, this.FsOut) : factor>1 ? design(this.FsOut, passband*Fs/2) : FIRFilter.fromTaps([1], Fs);
+    this._stage={ factor, Fs:this.FsOut, filter };
+    this._taps=filter.taps.map(v=>v*factor);
+    this._nz=FilterEngine.nonzero(this._taps);
+    this.reset();
+  }
+
+  get stages(){ return [{ ...this._stage }]; }
+  get delay(){ return delayReport((this._taps.length-1)/2/this.FsOut, this.Fs, this.FsOut); }
+
+  reset(){ this._hist=new Float64Array(Math.ceil(this._taps.length/this.factor)-1); return this; }
+  process(block){ return FilterEngine.firInterpolate(this._taps, this.factor, this._hist, block, this._nz); }
+  filter(x){ return FilterEngine.firInterpolate(this._taps, this.factor, new Float64Array(this._hist.length), x, this._nz); }
+}
@@ -0,0 +1,65 @@
+// Rational L/M sample-rate conversion (resample_poly): Kaiser-window lowpass at the upsampled rate, run in polyphase form
+// Outputs are time-aligned with the input: output m is the input signal at time m*M/L input samples
+import { FilterEngine } from "../digital/FilterEngine.js";
+import { FIRDesigner } from "../fir/FIRDesigner.js";
+import { Windows } from "../fir/Windows.js";
+import { FIRFilter } from "../model/FIRFilter.js";
+
+function gcd(a, b){ while(b){ [a, b]=[b, a%b]; } return a; }
+
+export class Resampler {
+  // spec {L, M, Fs?, halfLen=10*max(L,M), beta=5 | attenuation (dB, sets beta), taps?}. L/M is reduced first; the filter has
+  // 2*halfLen+1 taps at L*Fs with cutoff at the lower Nyquist rate; taps (odd length, linear phase) replaces it
+  constructor(spec){
+    let { L, M } = spec;
+    if(!(Number.isInteger(L) && Number.isInteger(M) && L>=1 && M>=1)) throw new Error('L and M must be positive integers');
+    const g=gcd(L, M); L/=g; M/=g;
+    this.L=L; this.M=M; this.Fs=spec.Fs; this.FsOut=spec.Fs!=null ? spec.Fs*L/M : undefined;
+    let filter;
+    if(spec.taps){
+      if(spec.taps.length%2===0) throw new Error('resampling taps must have odd length so the delay is a whole number of samples');
+      filter=FIRFilter.fromTaps(spec.taps, L*(spec.Fs ?? 1));
+    } else if(L===1 && M===1) filter=FIRFilter.fromTaps([1], spec.Fs ?? 1);
+    else {
+      const maxRate=Math.max(L, M), halfLen=spec.halfLen ?? 10*maxRate;
+      if(!(Number.isInteger(halfLen) && halfLen>=1)) throw new Error('halfLen must be a positive integer');
+      const beta=spec.attenuation!=null ? Windows.kaiserBeta(spec.attenuation) : (spec.beta ?? 5);
+      filter=new FIRDesigner({ kind:'lowpass', taps:2*halfLen+1, Fs:2*maxRate, f1:1, window:'kaiser', beta }).design();
+      filter=FIRFilter.fromTaps(filter.taps, L*(spec.Fs ?? 1));
+    }
+    this._filter=filter;
+    this._taps=filter.taps.map(v=>v*L);
+    this.reset();
+  }
+
+  get filter(){ return this._filter; }
+  // Group delay removed from the output, in input samples; also how far the stream lags before an output can be produced
+  get latency(){ return (this._taps.length-1)/2/this.L; }
+
+  reset(){
+    this._state={ hist:new Float64Array(Math.ceil(this._taps.length/this.L)-1), t:(this._taps.length-1)/2 };
+    this._nIn=0; this._nOut=0;
+    return this;
+  }
+  process(block){
+    const y=FilterEngine.firResample(this._taps, this.L, this.M, this._state, block);
+    this._nIn+=block.length; this._nOut+=y.length;
+    return y;
+  }
+  // Ends the stream: the remaining outputs up to ceil(nIn*L/M) (fed with zeros), then resets
+  flush(){
+    const want=Math.ceil(this._nIn*this.L/this.M)-this._nOut;
+    const zeros=new Float64Array(want>0 ? Math.ceil((this._state.t+want*this.M)/this.L) : 0);
+    const y=want>0 ? Array.from(FilterEngine.firResample(this._taps, this.L, this.M, this._state, zeros).subarray(0, want)) : [];
+    this.reset();
+    return y;
+  }
+}
+
+// One-shot: ceil(x.length*L/M) samples, time-aligned with x (opts as in Resampler)
+export function resamplePoly(x, L, M, opts={}){
+  const r=new Resampler({ ...opts, L, M }), head=r.process(x), tail=r.flush(), y=FilterEngine.alloc(x, head.length+tail.length);
+  for(let i=0;i<head.length;i++) y[i]=head[i];
+  for(let i=0;i<tail.length;i++) y[head.length+i]=tail[i];
+  return y;
+}
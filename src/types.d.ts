@@ -28,14 +28,52 @@ export declare class Cx {
 // Polynomial operations
 export declare class Poly {
   static evalRealAsc(coeffs: number[], z: Complex): Complex;
+  static mul(a: number[], b: number[]): number[];
+  static add(a: number[], b: number[]): number[];
+  static fromRoots(roots: Complex[]): number[];
 }
 
 // Root finding
 export declare class Roots {
   static aberthMonic(raw: number[]): Complex[];
+  static polyRoots(coeffs: number[]): Complex[];
+  static conjugateSymmetric(roots: Complex[]): Complex[];
+  static aberthWith(evalPD: (z: Complex) => { p: Complex; dp: Complex }, init: Complex[], opts?: { maxIt?: number; tol?: number }): Complex[];
   static dkScaled(raw: number[]): Complex[];
 }
 
+// Elliptic integrals and Jacobi elliptic functions
+export interface JacobiResult {
+  sn: number;
+  cn: number;
+  dn: number;
+}
+
+export declare class Elliptic {
+  static K(m: number): number;
+  static Kc(m1: number): number;
+  static ellipj(u: number, m: number): JacobiResult;
+  static arcsc1(w: number, m: number): number;
+  static degree(N: number, m1: number): number;
+}
+
+// Fast Fourier transform (radix-2, Bluestein for other lengths)
+export interface Spectrum {
+  re: Float64Array;
+  im: Float64Array;
+}
+
+export declare class FFT {
+  static isPow2(n: number): boolean;
+  static nextPow2(n: number): number;
+  static transform(re: Float64Array, im: Float64Array, inverse?: boolean): void;
+  static fft(re: ArrayLike<number>, im?: ArrayLike<number>): Spectrum;
+  static ifft(re: ArrayLike<number>, im: ArrayLike<number>): Spectrum;
+  static rfft(x: ArrayLike<number>, n?: number): Spectrum;
+  static rfft2(x: ArrayLike<number>, y: ArrayLike<number>, n?: number): [Spectrum, Spectrum];
+  static dtftGrid(c: ArrayLike<number>, Nf: number): Spectrum;
+}
+
 // Analog prototypes
 export interface PrototypeResult {
   poles: Complex[];
@@ -43,15 +81,19 @@ export interface PrototypeResult {
   family?: string;
   order?: number;
   enforcedOrder?: number;
+  dcGain?: number;
 }
 
+export type BesselNorm = 'mag' | 'delay' | 'phase';
+
 export declare class Prototypes {
   static butter(N: number): PrototypeResult;
   static cheby1(N: number, Rp: number): PrototypeResult;
   static cheby2(N: number, Rs: number): PrototypeResult;
+  static ellip(N: number, Rp: number, Rs: number): PrototypeResult;
   static ellipHybrid(N: number, Rp: number, Rs: number): PrototypeResult;
   static linkwitzRiley(N: number): PrototypeResult;
-  static bessel(N: number): PrototypeResult;
+  static bessel(N: number, norm?: BesselNorm): PrototypeResult;
 }
 
 // Bilinear Transform
@@ -61,17 +103,135 @@ export declare class BLT {
   static quad(a: Complex, b: Complex, c: Complex): [Complex, Complex];
 }
 
+// Stability and phase reports
+export interface StabilityReport {
+  stable: boolean;
+  marginal: boolean;
+  maxPoleRadius: number;
+  unstablePoles: Complex[];
+  polesOnCircle: Complex[];
+}
+
+export interface PhaseReport {
+  minimumPhase: boolean;
+  maximumPhase: boolean;
+  stable: boolean;
+  phase: 'minimum' | 'maximum' | 'mixed' | 'unstable';
+  zerosInside: number;
+  zerosOutside: number;
+  zerosOnCircle: number;
+  zerosAtOrigin: number;
+  minZeroRadius: number;
+  maxZeroRadius: number;
+}
+
+export interface LinearPhaseReport {
+  linear: boolean;
+  type: 1 | 2 | 3 | 4 | null;
+  symmetry: 'symmetric' | 'antisymmetric' | null;
+  delay: number | null;
+  deviation: number;
+}
+
+export declare class Analysis {
+  static stability(poles: Complex[], tol?: number): StabilityReport;
+  static phase(zeros: Complex[], poles: Complex[], tol?: number): PhaseReport;
+  static linearPhase(taps: ArrayLike<number>, tol?: number): LinearPhaseReport;
+}
+
+// Representation conversions (transfer functions in negative powers of z; SISO state space)
+export interface TF {
+  b: number[];
+  a: number[];
+}
+
+export interface ZPK {
+  z: Complex[];
+  p: Complex[];
+  k: number;
+}
+
+export interface StateSpace {
+  A: number[][];
+  B: number[];
+  C: number[];
+  D: number;
+}
+
+export declare class Convert {
+  static tf2zpk(b: number[], a: number[]): ZPK;
+  static zpk2tf(z: Complex[], p: Complex[], k: number): TF;
+  static sos2tf(sections: SOSSection[]): TF;
+  static tf2sos(b: number[], a: number[], opts?: SOSOptions): SOSSection[];
+  static zpk2sos(z: Complex[], p: Complex[], k: number, opts?: SOSOptions): SOSSection[];
+  static sos2zpk(sections: SOSSection[]): ZPK;
+  static tf2ss(b: number[], a: number[]): StateSpace;
+  static ss2tf(A: number[][], B: number[], C: number[], D?: number): TF;
+}
+
+// Impulse-invariant and matched-z mappings
+export interface DiscreteZPK {
+  zeros: Complex[];
+  poles: Complex[];
+  gain: number;
+}
+
+export interface PartialFractions {
+  terms: { p: Complex; r: number; A: Complex[] }[];
+  direct: number;
+}
+
+export declare class Discretize {
+  static residues(zeros: Complex[], poles: Complex[], k?: number): PartialFractions;
+  static impulseInvariance(zeros: Complex[], poles: Complex[], k?: number, Fs?: number): DiscreteZPK;
+  static matchedZ(zeros: Complex[], poles: Complex[], k?: number, Fs?: number, opts?: { wRef?: number }): DiscreteZPK;
+}
+
 // Second Order Sections
 export interface SOSSection {
   b: [number, number, number];
   a: [number, number, number];
 }
 
+export type SOSPairing = 'nearest' | 'keep_odd' | 'minimal';
+export type SOSOrder = 'ascending' | 'descending';
+export type SOSScaling = 'l2' | 'linf';
+
+export interface SOSOptions {
+  pairing?: SOSPairing;
+  order?: SOSOrder;
+  scale?: SOSScaling | 'none';
+}
+
 export declare class SOS {
-  static fromZPK(zZeros: Complex[], zPoles: Complex[], gain?: number): SOSSection[];
+  static fromZPK(zZeros: Complex[], zPoles: Complex[], gain?: number, opts?: SOSOptions): SOSSection[];
+  static delay(sections: SOSSection[], n: number): SOSSection[];
+  static scale(sections: SOSSection[], norm?: SOSScaling): SOSSection[];
 }
 
 // Digital response calculations
+// Frequency points: explicit list (Hz with Fs, else rad/sample) or a generated grid
+export type FrequencyUnits = 'hz' | 'rad';
+export interface FrequencySpacing {
+  n?: number;
+  whole?: boolean;
+  scale?: 'linear' | 'log';
+  fmin?: number;
+  fmax?: number;
+}
+export type FrequencyPoints = ArrayLike<number> | FrequencySpacing;
+
+export interface FreqzResult {
+  w: number[];
+  freqHz?: number[];
+  H: Complex[];
+  mag: number[];
+  magdB: number[];
+  phaseRad: number[];
+  phaseDeg: number[];
+  gdSamples: number[];
+}
+
 export declare class Response {
   static H_w_IIR(sections: SOSSection[], w: number): Complex;
   static H_w_FIR(taps: number[], w: number): Complex;
@@ -79,32 +239,191 @@ export declare class Response {
   static unwrapToDeg(phRad: number[]): number[];
   static groupDelay(phUnwrappedRad: number[], w: number[]): number[];
   static phaseDelay(phUnwrappedRad: number[], w: number[]): number[];
+  static zeroPhaseGrid(grid: FrequencyGrid): FrequencyGrid;
+  static gridFIR(taps: ArrayLike<number>, Nf: number): Complex[];
+  static gridIIR(sections: SOSSection[], Nf: number): Complex[];
+  static groupDelayFIR(taps: ArrayLike<number>, w: number): number;
+  static groupDelayIIR(sections: SOSSection[], w: number): number;
+  static gridGroupDelayFIR(taps: ArrayLike<number>, Nf: number): number[];
+  static gridGroupDelayIIR(sections: SOSSection[], Nf: number): number[];
+  static freqPoints(points?: FrequencyPoints, Fs?: number, units?: FrequencyUnits): number[];
+  static freqzWith(Hw: (w: number) => Complex, points?: FrequencyPoints, Fs?: number, units?: FrequencyUnits, gdw?: (w: number) => number): FreqzResult;
+  static freqz(b: (number | Complex)[], a?: (number | Complex)[], points?: FrequencyPoints, Fs?: number, units?: FrequencyUnits): FreqzResult;
+}
+
+// Sample-domain filtering kernels
+export type Signal = number[] | Float32Array | Float64Array;
+
+export interface FiltfiltOptions {
+  padtype?: 'odd' | 'even' | 'constant' | 'none' | null;
+  padlen?: number;
+}
+
+export interface FilterOptions<S> {
+  zi?: S;
+  steadyState?: boolean;
+}
+
+export declare class FilterEngine {
+  static alloc(x: Signal, n: number): Signal;
+  static nonzero(taps: ArrayLike<number>): Int32Array | null;
+  static fir<T extends Signal>(taps: number[], hist: Float64Array, x: T, nz?: Int32Array | null): T;
+  static firDecimate<T extends Signal>(taps: number[], M: number, state: { hist: Float64Array; phase: number }, x: T, nz?: Int32Array | null): T;
+  static firInterpolate<T extends Signal>(taps: number[], L: number, hist: Float64Array, x: T, nz?: Int32Array | null): T;
+  static farrow<T extends Signal>(C: number[][], hist: Float64Array, x: T, delay: number | ArrayLike<number>, maxDelay: number): T;
+  static firResample<T extends Signal>(taps: number[], L: number, M: number, state: { hist: Float64Array; t: number }, x: T): T;
+  static sos<T extends Signal>(sections: SOSSection[], state: Float64Array, x: T): T;
+  static sosZi(sections: SOSSection[]): Float64Array;
+  static firZi(taps: number[]): Float64Array;
+  static sosfiltfilt<T extends Signal>(sections: SOSSection[], x: T, opts?: FiltfiltOptions): T;
+  static firfiltfilt<T extends Signal>(taps: number[], x: T, opts?: FiltfiltOptions): T;
+}
+
+// Minimum-order estimation
+export type BandEdges = number | [number, number];
+export type FilterKind = 'lowpass' | 'highpass' | 'bandpass' | 'bandstop';
+
+export interface OrderResult {
+  N: number;
+  Wn: BandEdges;
+  kind: FilterKind;
+}
+
+export interface KaiserOrderResult {
+  taps: number;
+  beta: number;
+  Wn: BandEdges;
+  kind: FilterKind;
+  attenuation: number;
+}
+
+export declare class Order {
+  static buttord(wp: BandEdges, ws: BandEdges, Rp: number, Rs: number, Fs: number): OrderResult;
+  static cheb1ord(wp: BandEdges, ws: BandEdges, Rp: number, Rs: number, Fs: number): OrderResult;
+  static cheb2ord(wp: BandEdges, ws: BandEdges, Rp: number, Rs: number, Fs: number): OrderResult;
+  static ellipord(wp: BandEdges, ws: BandEdges, Rp: number, Rs: number, Fs: number): OrderResult;
+  static linkwitzord(wp: BandEdges, ws: BandEdges, Rp: number, Rs: number, Fs: number): OrderResult;
+  static besselord(wp: BandEdges, ws: BandEdges, Rp: number, Rs: number, Fs: number, opts?: { maxN?: number; norm?: BesselNorm; proto?: (N: number) => PrototypeResult }): OrderResult;
+  static iir(family: string, wp: BandEdges, ws: BandEdges, Rp: number, Rs: number, Fs: number, opts?: { maxN?: number; norm?: BesselNorm; proto?: (N: number) => PrototypeResult }): OrderResult;
+  static kaiserord(wp: BandEdges, ws: BandEdges, Rp: number | undefined, Rs: number, Fs: number): KaiserOrderResult;
 }
 
 // Window functions
+export interface WindowOptions { beta?: number; alpha?: number; sigma?: number; nbar?: number; sll?: number }
 export declare class Windows {
   static rect(M: number): number[];
   static hann(M: number): number[];
   static hamming(M: number): number[];
   static blackman(M: number): number[];
+  static kaiserBeta(A: number): number;
   static kaiser(M: number, beta: number): number[];
-  static byName(name: string, M: number, beta?: number): number[];
+  static byName(name: string, M: number, opts?: WindowOptions): number[];
+}
+
+// Parks-McClellan equiripple design
+export interface RemezOptions {
+  weights?: number[];
+  Fs?: number;
+  type?: 'bandpass' | 'antisymmetric' | 'differentiator';
+  gridDensity?: number;
+  maxIter?: number;
+}
+
+export interface RemezResult {
+  taps: number[];
+  delta: number;
+  ripple: number[];
+  converged: boolean;
+  iterations: number;
+}
+
+export declare class Remez {
+  static design(numtaps: number, bands: number[], desired: number[], opts?: RemezOptions): RemezResult;
+}
+
+// Weighted least-squares design
+export interface LeastSquaresOptions {
+  weights?: number[];
+  Fs?: number;
+}
+
+export declare class LeastSquares {
+  static design(numtaps: number, bands: number[], desired: number[], opts?: LeastSquaresOptions): number[];
+}
+
+// Frequency-sampling design
+export interface FreqSamplingOptions {
+  Fs?: number;
+  window?: string | null;
+  windowOpts?: WindowOptions;
+  nfreqs?: number;
+}
+
+export declare class FreqSampling {
+  static design(numtaps: number, freq: number[], gain: number[], opts?: FreqSamplingOptions): number[];
 }
 
 // FIR filter designer
 export interface FIRSpec {
-  kind: 'lowpass' | 'highpass' | 'bandpass' | 'bandstop';
-  taps: number;
+  kind?: 'lowpass' | 'highpass' | 'bandpass' | 'bandstop' | 'hilbert' | 'differentiator';
+  taps?: number;
   Fs: number;
-  f1: number;
+  wp?: BandEdges;
+  ws?: BandEdges;
+  Rp?: number;
+  Rs?: number;
+  f1?: number;
   f2?: number;
+  method?: 'window' | 'remez' | 'firls' | 'firwin2' | 'nyquist';
+  band?: number;
+  design?: 'window' | 'remez';
   window?: string;
   beta?: number;
+  bands?: number[];
+  desired?: number[];
+  weights?: number[];
+  transition?: number;
+  gridDensity?: number;
+  maxIter?: number;
+  freq?: number[];
+  gain?: number[];
+  nfreqs?: number;
+  alpha?: number;
+  sigma?: number;
+}
+
+export interface FIRDesignInfo {
+  method?: string;
+  window?: string;
+  bands?: number[];
+  desired?: number[];
+  weights?: number[];
+  delta?: number;
+  ripple?: number[];
+  converged?: boolean;
+  iterations?: number;
+  freq?: number[];
+  gain?: number[];
+  conversion?: 'homomorphic' | 'reflect';
+  source?: FIRDesignInfo;
+  freqHz?: number;
+  groupDelay?: number;
+  sourceGroupDelay?: number;
+  design?: 'lagrange' | 'sinc' | 'window' | 'remez';
+  delay?: number;
+  order?: number;
+  band?: number;
+  zeroTaps?: number;
+  savings?: number;
 }
 
 export declare class FIRDesigner {
   constructor(spec: FIRSpec);
   design(): FIRFilter;
+  windowed(): FIRFilter;
+  remez(): FIRFilter;
+  firls(): FIRFilter;
+  firwin2(): FIRFilter;
 }
 
 // FIR filter zeros
@@ -112,16 +431,64 @@ export declare class FIRZeros {
   static fromTapsRobust(taps: number[]): Complex[];
 }
 
+// Analytic signal
+export interface AnalyticOptions {
+  Fs?: number;
+  taps?: number;
+  method?: 'window' | 'remez';
+  f1?: number;
+  f2?: number;
+  transition?: number;
+  window?: string;
+  beta?: number;
+  filter?: FIRFilter;
+}
+
+export interface AnalyticSignal<T extends Signal = Signal> {
+  re: T;
+  im: T;
+  envelope: T;
+  phase: number[];
+  frequency: T;
+  filter: FIRFilter;
+  delay: number;
+}
+
+export declare class Analytic {
+  static hilbertFilter(opts?: AnalyticOptions): FIRFilter;
+  static signal<T extends Signal>(x: T, opts?: AnalyticOptions): AnalyticSignal<T>;
+}
+
+// Minimum-phase FIR conversion
+export interface MinimumPhaseOptions {
+  method?: 'homomorphic' | 'reflect';
+  half?: boolean;
+  nfft?: number;
+}
+
+export declare class MinimumPhase {
+  static homomorphic(taps: ArrayLike<number>, opts?: { half?: boolean; nfft?: number }): number[];
+  static reflect(taps: ArrayLike<number>, zeros?: Complex[]): number[];
+  static delayReport(source: ArrayLike<number>, result: ArrayLike<number>, Nf?: number): { w: number; sourceGroupDelay: number; groupDelay: number };
+}
+
 // IIR filter designer
 export interface IIRSpec {
-  family: 'butter' | 'cheby1' | 'cheby2' | 'ellip' | 'linkwitz' | 'bessel';
-  kind: 'lowpass' | 'highpass' | 'bandpass' | 'bandstop';
-  N: number;
+  family: 'butter' | 'cheby1' | 'cheby2' | 'ellip' | 'ellipHybrid' | 'linkwitz' | 'bessel';
+  kind?: 'lowpass' | 'highpass' | 'bandpass' | 'bandstop';
+  N?: number;
   Rp?: number;
   Rs?: number;
   Fs: number;
-  f1: number;
+  f1?: number;
   f2?: number;
+  wp?: BandEdges;
+  ws?: BandEdges;
+  besselNorm?: BesselNorm;
+  transform?: 'bilinear' | 'impulseInvariance' | 'matchedZ';
+  pairing?: SOSPairing;
+  sectionOrder?: SOSOrder;
+  scale?: SOSScaling | 'none';
 }
 
 export declare class IIRDesigner {
@@ -129,6 +496,22 @@ export declare class IIRDesigner {
   design(): IIRFilter;
 }
 
+// Audio EQ cookbook biquads
+export interface BiquadSpec {
+  kind: 'lowpass' | 'highpass' | 'bandpassSkirt' | 'bandpassPeak' | 'notch' | 'allpass' | 'peaking' | 'lowShelf' | 'highShelf';
+  f0: number;
+  Fs: number;
+  gaindB?: number;
+  Q?: number;
+  BW?: number;
+  S?: number;
+}
+
+export declare class BiquadDesigner {
+  constructor(spec: BiquadSpec);
+  design(): IIRFilter;
+}
+
 // Filter models
 export interface FrequencyGrid {
   w: number[];
@@ -139,19 +522,39 @@ export interface FrequencyGrid {
   pdSamples: number[];
 }
 
+export interface FrequencyGridOptions {
+  zeroPhase?: boolean;
+}
+
 export interface FIRFilterInit {
   taps: number[];
   Fs: number;
+  info?: FIRDesignInfo;
 }
 
 export declare class FIRFilter {
   constructor(init: FIRFilterInit);
+  static fromTaps(taps: ArrayLike<number>, Fs?: number): FIRFilter;
   readonly type: 'FIR';
   readonly taps: number[];
   readonly Fs: number;
+  readonly info: FIRDesignInfo;
   impulseResponse(L?: number): number[];
   zeros(): Complex[];
-  frequencyGrid(Nf?: number): FrequencyGrid;
+  isStable(tol?: number): StabilityReport;
+  isMinimumPhase(tol?: number): PhaseReport;
+  isMaximumPhase(tol?: number): PhaseReport;
+  linearPhaseType(tol?: number): LinearPhaseReport;
+  toMinimumPhase(opts?: MinimumPhaseOptions): FIRFilter;
+  zi(): number[];
+  reset(x0?: number): this;
+  getState(): number[];
+  setState(zi: number[]): this;
+  process<T extends Signal>(block: T): T;
+  filter<T extends Signal>(x: T, opts?: FilterOptions<number[]>): T;
+  filtfilt<T extends Signal>(x: T, opts?: FiltfiltOptions): T;
+  freqz(points?: FrequencyPoints, opts?: { units?: FrequencyUnits }): FreqzResult;
+  frequencyGrid(Nf?: number, opts?: FrequencyGridOptions): FrequencyGrid;
 }
 
 export interface IIRFilterInit {
@@ -159,34 +562,296 @@ export interface IIRFilterInit {
   Fs: number;
   zPoles: Complex[];
   zZeros: Complex[];
+  analog?: AnalogFilter;
 }
 
 export declare class IIRFilter {
   constructor(init: IIRFilterInit);
+  static fromTF(b: ArrayLike<number>, a: ArrayLike<number>, Fs?: number, opts?: SOSOptions): IIRFilter;
+  static fromSOS(matrix: (number[] | SOSSection)[], Fs?: number): IIRFilter;
+  static fromZPK(z: Complex[], p: Complex[], k: number, Fs?: number, opts?: SOSOptions): IIRFilter;
   readonly type: 'IIR';
   readonly sections: SOSSection[];
   readonly Fs: number;
   readonly zPoles: Complex[];
   readonly zZeros: Complex[];
+  readonly analog: AnalogFilter | null;
+  tf(): TF;
+  zpk(): ZPK;
+  ss(): StateSpace;
+  isStable(tol?: number): StabilityReport;
+  isMinimumPhase(tol?: number): PhaseReport;
+  isMaximumPhase(tol?: number): PhaseReport;
   impulseResponse(L?: number): number[];
-  frequencyGrid(Nf?: number): FrequencyGrid;
+  zi(): [number, number][];
+  reset(x0?: number): this;
+  getState(): [number, number][];
+  setState(zi: [number, number][]): this;
+  process<T extends Signal>(block: T): T;
+  filter<T extends Signal>(x: T, opts?: FilterOptions<[number, number][]>): T;
+  filtfilt<T extends Signal>(x: T, opts?: FiltfiltOptions): T;
+  freqz(points?: FrequencyPoints, opts?: { units?: FrequencyUnits }): FreqzResult;
+  frequencyGrid(Nf?: number, opts?: FrequencyGridOptions): FrequencyGrid;
+}
+
+// Multirate: polyphase decimator and interpolator
+export interface DecimatorSpec {
+  factor: number;
+  Fs?: number;
+  attenuation?: number;
+  passband?: number;
+  stages?: number[];
+  maxStage?: number;
+  nyquist?: boolean;
+  taps?: ArrayLike<number>;
+}
+
+export interface InterpolatorSpec {
+  factor: number;
+  Fs?: number;
+  attenuation?: number;
+  passband?: number;
+  nyquist?: boolean;
+  taps?: ArrayLike<number>;
+}
+
+export interface RateStage {
+  factor: number;
+  Fs: number;
+  filter: FIRFilter;
+}
+
+export interface MultirateDelay {
+  seconds: number;
+  inputSamples: number;
+  outputSamples: number;
+}
+
+export declare class Decimator {
+  constructor(spec: DecimatorSpec);
+  readonly factor: number;
+  readonly Fs: number;
+  readonly FsOut: number;
+  readonly stages: RateStage[];
+  readonly delay: MultirateDelay;
+  reset(): this;
+  process<T extends Signal>(block: T): T;
+  filter<T extends Signal>(x: T): T;
+}
+
+export declare class Interpolator {
+  constructor(spec: InterpolatorSpec);
+  readonly factor: number;
+  readonly Fs: number;
+  readonly FsOut: number;
+  readonly stages: RateStage[];
+  readonly delay: MultirateDelay;
+  reset(): this;
+  process<T extends Signal>(block: T): T;
+  filter<T extends Signal>(x: T): T;
+}
+
+// Rational resampling
+export interface ResampleOptions {
+  Fs?: number;
+  halfLen?: number;
+  beta?: number;
+  attenuation?: number;
+  taps?: ArrayLike<number>;
+}
+
+export interface ResamplerSpec extends ResampleOptions {
+  L: number;
+  M: number;
+}
+
+export declare class Resampler {
+  constructor(spec: ResamplerSpec);
+  readonly L: number;
+  readonly M: number;
+  readonly Fs: number | undefined;
+  readonly FsOut: number | undefined;
+  readonly filter: FIRFilter;
+  readonly latency: number;
+  reset(): this;
+  process<T extends Signal>(block: T): T;
+  flush(): number[];
+}
+
+export declare function resamplePoly<T extends Signal>(x: T, L: number, M: number, opts?: ResampleOptions): T;
+
+// Fractional delay
+export interface FractionalDelayOptions {
+  Fs?: number;
+}
+
+export interface SincDelayOptions extends FractionalDelayOptions {
+  taps?: number;
+  window?: string;
+  cutoff?: number;
+  beta?: number;
+  alpha?: number;
+  sigma?: number;
+}
+
+export declare class FractionalDelay {
+  static lagrange(delay: number, opts?: FractionalDelayOptions & { order?: number }): FIRFilter;
+  static sinc(delay: number, opts?: SincDelayOptions): FIRFilter;
+  static thiran(delay: number, opts?: FractionalDelayOptions & { order?: number }): IIRFilter;
+}
+
+export interface FarrowSpec {
+  order?: number;
+  maxDelay?: number;
+  Fs?: number;
+}
+
+export declare class Farrow {
+  constructor(spec?: FarrowSpec);
+  readonly order: number;
+  readonly maxDelay: number;
+  readonly Fs: number;
+  readonly coefficients: number[][];
+  at(delay: number): FIRFilter;
+  reset(): this;
+  process<T extends Signal>(block: T, delay: number | ArrayLike<number>): T;
+  filter<T extends Signal>(x: T, delay: number | ArrayLike<number>): T;
+}
+
+// Analog (s-domain) filter model
+export interface AnalogFilterInit {
+  zeros: Complex[];
+  poles: Complex[];
+  k: number;
+  Fs?: number;
+}
+
+export interface FreqsResult {
+  w: number[];
+  freqHz: number[];
+  H: Complex[];
+  mag: number[];
+  magdB: number[];
+  phaseRad: number[];
+  phaseDeg: number[];
+  gdSeconds: number[];
+}
+
+export interface TimeResponse {
+  t: number[];
+  y: number[];
+  direct?: number;
+}
+
+export interface AnalogComparison {
+  freqHz: number[];
+  magErrordB: number[];
+  phaseErrorDeg: number[];
+  gdErrorSeconds: number[];
+  maxMagErrordB: number;
+}
+
+export declare class AnalogFilter {
+  constructor(init: AnalogFilterInit);
+  static fromZPK(zeros: Complex[], poles: Complex[], k?: number, Fs?: number): AnalogFilter;
+  readonly type: 'analog';
+  readonly zeros: Complex[];
+  readonly poles: Complex[];
+  readonly gain: number;
+  readonly Fs: number | undefined;
+  zpk(): ZPK;
+  H(Omega: number): Complex;
+  groupDelay(Omega: number): number;
+  freqPoints(points?: ArrayLike<number> | Omit<FrequencySpacing, 'whole'>, units?: FrequencyUnits): number[];
+  freqs(points?: ArrayLike<number> | Omit<FrequencySpacing, 'whole'>, opts?: { units?: FrequencyUnits }): FreqsResult;
+  impulseResponse(times?: ArrayLike<number> | { n?: number; tEnd?: number }): TimeResponse;
+  stepResponse(times?: ArrayLike<number> | { n?: number; tEnd?: number }): TimeResponse;
+  timePoints(times?: ArrayLike<number> | { n?: number; tEnd?: number }): number[];
+  compare(digital: IIRFilter | FIRFilter, points?: ArrayLike<number> | Omit<FrequencySpacing, 'whole'>): AnalogComparison;
+}
+
+// Equalizer built from cookbook biquads (kind defaults to 'peaking')
+export type EQBand = Omit<BiquadSpec, 'Fs' | 'kind'> & { kind?: BiquadSpec['kind'] };
+
+export interface EQGrid extends FrequencyGrid {
+  bandsdB?: number[][];
+}
+
+export declare class EQ extends IIRFilter {
+  constructor(init: { Fs: number; bands?: EQBand[] });
+  readonly bands: EQBand[];
+  updateBand(i: number, changes: Partial<EQBand>): this;
+  frequencyGrid(Nf?: number, opts?: FrequencyGridOptions & { bands?: boolean }): EQGrid;
+  static graphic(Fs: number, gainsdB: number[], opts?: { fLow?: number; fHigh?: number }): EQ;
 }
 
 // Main FilterDSP class
 export declare class FilterDSP {
   static designFIR(spec: FIRSpec): FIRFilter;
   static designIIR(spec: IIRSpec): IIRFilter;
+  static designBiquad(spec: BiquadSpec): IIRFilter;
 }
 
 // Re-export all types for convenience
 export type {
   Complex,
   ComplexArray,
+  JacobiResult,
+  Signal,
   PrototypeResult,
+  BesselNorm,
   SOSSection,
+  SOSPairing,
+  SOSOrder,
+  SOSScaling,
+  SOSOptions,
+  TF,
+  ZPK,
+  StateSpace,
+  StabilityReport,
+  PhaseReport,
+  LinearPhaseReport,
+  DiscreteZPK,
+  PartialFractions,
   FIRSpec,
+  FIRDesignInfo,
+  MinimumPhaseOptions,
+  AnalyticOptions,
+  AnalyticSignal,
+  RemezOptions,
+  RemezResult,
+  LeastSquaresOptions,
+  FreqSamplingOptions,
   IIRSpec,
+  BiquadSpec,
+  EQBand,
+  EQGrid,
+  BandEdges,
+  FilterKind,
+  OrderResult,
+  KaiserOrderResult,
   FrequencyGrid,
+  FrequencyGridOptions,
+  FrequencyUnits,
+  FrequencySpacing,
+  FrequencyPoints,
+  FreqzResult,
+  Spectrum,
+  FiltfiltOptions,
+  FilterOptions,
   FIRFilterInit,
-  IIRFilterInit
+  IIRFilterInit,
+  AnalogFilterInit,
+  DecimatorSpec,
+  InterpolatorSpec,
+  ResampleOptions,
+  ResamplerSpec,
+  FractionalDelayOptions,
+  SincDelayOptions,
+  FarrowSpec,
+  RateStage,
+  MultirateDelay,
+  FreqsResult,
+  TimeResponse,
+  AnalogComparison
 };
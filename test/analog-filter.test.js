@@ -0,0 +1,53 @@
+// Analog reference model: freqs, time responses, compare and grid options
+import assert from 'assert';
+import { AnalogFilter, FilterDSP } from '../src/index.js';
+import { test, close, range } from './harness.js';
+
+const re=v=>({ re:v, im:0 });
+
+test('AnalogFilter.freqs: magnitude, phase and exact group delay of 2/(s + 2)', ()=>{
+  const a=AnalogFilter.fromZPK([], [re(-2)], 2), O=[0, 1, 2, 10];
+  const r=a.freqs(O, { units:'rad' });
+  close(r.mag, O.map(w=>2/Math.hypot(2, w)), 1e-15, '|H|');
+  close(r.phaseRad, O.map(w=>-Math.atan(w/2)), 1e-15, 'phase');
+  close(r.gdSeconds, O.map(w=>2/(4+w*w)), 1e-15, 'group delay');
+  close(r.freqHz, O.map(w=>w/(2*Math.PI)), 1e-15, 'freqHz');
+  // Default grids: to ten times the largest root without Fs, to Fs/2 with it; log grids three decades down
+  close(a.freqPoints({ n:3 }, 'rad'), [0, 10, 20], 1e-12, 'default fmax without Fs');
+  close(AnalogFilter.fromZPK([], [re(-2)], 2, 100).freqPoints({ n:2 }), [0, 2*Math.PI*50], 1e-12, 'default fmax with Fs');
+  close(a.freqPoints({ n:4, scale:'log', fmax:1000 }), [1, 10, 100, 1000].map(f=>2*Math.PI*f), 1e-9, 'log');
+});
+
+test('AnalogFilter: impulse and step responses from the residues, with the direct term reported', ()=>{
+  // 1/((s+1)(s+3)): h(t) = (e^-t - e^-3t)/2, step 1/3 - e^-t/2 + e^-3t/6
+  const a=AnalogFilter.fromZPK([], [re(-1), re(-3)]), t=range(20, i=>0.25*i);
+  close(a.impulseResponse(t).y, t.map(v=>(Math.exp(-v)-Math.exp(-3*v))/2), 1e-12, 'impulse');
+  close(a.stepResponse(t).y, t.map(v=>1/3-Math.exp(-v)/2+Math.exp(-3*v)/6), 1e-12, 'step');
+  close(a.impulseResponse([-1]).y, [0], 0, 'causal');
+  const grid=a.impulseResponse({ n:5 });
+  close(grid.t, [0, 2.5, 5, 7.5, 10], 1e-12, 'default tEnd: ten time constants of the slowest pole');
+  // (s+1)/(s+2) = 1 - 1/(s+2)
+  const p=AnalogFilter.fromZPK([re(-1)], [re(-2)]).impulseResponse([0, 1]);
+  assert.strictEqual(p.direct, 1); close(p.y, [-1, -Math.exp(-2)], 1e-12, 'strictly proper part');
+});
+
+test('AnalogFilter.compare: prewarping matches the cutoff, the warping error grows above it', ()=>{
+  const f=FilterDSP.designIIR({ family:'butter', kind:'lowpass', N:2, Fs:1000, f1:100 });
+  const c=f.analog.compare(f, [0, 50, 100, 300]);
+  close(c.freqHz, [0, 50, 100, 300], 0, 'freqHz');
+  close([c.magErrordB[0], c.magErrordB[2]], [0, 0], 1e-9, 'DC and f1');
+  assert.ok(c.magErrordB[3]<-1, `error at 300 Hz is only ${c.magErrordB[3]} dB`);
+  close(c.maxMagErrordB, Math.abs(c.magErrordB[3]), 0, 'maxMagErrordB');
+  close(f.analog.compare(f, { n:8 }).freqHz.at(-1), 500, 1e-9, 'default grid ends at Nyquist');
+});
+
+test('AnalogFilter: unknown grid keys and bad grids throw', ()=>{
+  const a=AnalogFilter.fromZPK([], [re(-2)], 2, 100);
+  assert.throws(()=>a.freqs({ fMin:1, log:true }), /unknown frequency grid option 'fMin', 'log' \(expected n, scale, fmin, fmax\)/);
+  assert.throws(()=>a.freqs({ f:[1, 2] }), /unknown frequency grid option 'f'/);
+  assert.throws(()=>a.compare(FilterDSP.designIIR({ family:'butter', kind:'lowpass', N:2, Fs:100, f1:10 }), { nPoints:8 }), /unknown frequency grid option 'nPoints'/);
+  assert.throws(()=>a.impulseResponse({ t:[0, 1] }), /unknown time grid option 't' \(expected n, tEnd\)/);
+  assert.throws(()=>a.stepResponse({ n:0 }), /number of time points must be a positive integer/);
+  assert.throws(()=>a.stepResponse({ tEnd:-1 }), /tEnd must be a positive number of seconds/);
+  assert.throws(()=>a.freqs({ scale:'log', fmin:200, fmax:100 }), /log-spaced frequencies need 0 < fmin < fmax/);
+});
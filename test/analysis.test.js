@@ -0,0 +1,53 @@
+// Stability, minimum/maximum-phase and linear-phase reports
+import assert from 'assert';
+import { Analysis, IIRFilter, FIRFilter } from '../src/index.js';
+import { test, close } from './harness.js';
+
+const re=v=>({ re:v, im:0 });
+
+test('Analysis.stability: stable, marginal and unstable poles', ()=>{
+  const s=Analysis.stability([{ re:0.6, im:0.3 }, { re:0.6, im:-0.3 }, re(-0.5)]);
+  assert.ok(s.stable && !s.marginal); close(s.maxPoleRadius, Math.hypot(0.6, 0.3), 1e-15, 'maxPoleRadius');
+  const m=Analysis.stability([re(1), re(0.5)]);
+  assert.ok(!m.stable && m.marginal); assert.deepStrictEqual(m.polesOnCircle, [re(1)]);
+  const u=Analysis.stability([re(1), re(-1.2)]);
+  assert.ok(!u.stable && !u.marginal); assert.deepStrictEqual(u.unstablePoles, [re(-1.2)]);
+  // tol widens the band that counts as on the circle
+  assert.ok(Analysis.stability([re(0.9999)], 1e-3).marginal);
+  assert.deepStrictEqual(Analysis.stability([]), { stable:true, marginal:false, maxPoleRadius:0, unstablePoles:[], polesOnCircle:[] });
+});
+
+test('Analysis.phase: minimum, maximum, mixed and unstable', ()=>{
+  const p=[re(0.5)];
+  const min=Analysis.phase([re(0.3), re(0), re(-1)], p);
+  assert.strictEqual(min.phase, 'minimum'); assert.ok(min.minimumPhase && !min.maximumPhase);
+  assert.strictEqual(min.zerosAtOrigin, 1); assert.strictEqual(min.zerosOnCircle, 1); assert.strictEqual(min.zerosInside, 1);
+  close([min.minZeroRadius, min.maxZeroRadius], [0.3, 1], 1e-15, 'zero radii without the origin');
+  assert.strictEqual(Analysis.phase([re(2), re(-1)], p).phase, 'maximum');
+  const mixed=Analysis.phase([re(2), re(0.3)], p);
+  assert.strictEqual(mixed.phase, 'mixed'); assert.strictEqual(mixed.zerosOutside, 1);
+  const unstable=Analysis.phase([re(0.3)], [re(1.5)]);
+  assert.strictEqual(unstable.phase, 'unstable'); assert.ok(!unstable.minimumPhase && !unstable.stable);
+});
+
+test('Analysis.linearPhase: types I to IV from the tap symmetry', ()=>{
+  const types=[[1, 2, 3, 2, 1], [1, 2, 2, 1], [1, 2, 0, -2, -1], [1, 2, -2, -1]].map(t=>Analysis.linearPhase(t));
+  assert.deepStrictEqual(types.map(t=>t.type), [1, 2, 3, 4]);
+  assert.deepStrictEqual(types.map(t=>t.symmetry), ['symmetric', 'symmetric', 'antisymmetric', 'antisymmetric']);
+  close(types.map(t=>t.delay), [2, 1.5, 2, 1.5], 0, 'delay');
+  const not=Analysis.linearPhase([1, 2, 3]);
+  assert.ok(!not.linear); assert.strictEqual(not.type, null); close(not.deviation, 2/3, 1e-15, 'deviation');
+  assert.strictEqual(Analysis.linearPhase([1, 2, 1+1e-10]).type, 1);
+});
+
+test('filters: isStable, isMinimumPhase and isMaximumPhase return the reports', ()=>{
+  const iir=IIRFilter.fromTF([1, -2.5, 1], [1, -0.9]);
+  const s=iir.isStable(); assert.ok(s.stable); close(s.maxPoleRadius, 0.9, 1e-12, 'IIR maxPoleRadius');
+  assert.strictEqual(iir.isMinimumPhase().phase, 'mixed'); assert.deepStrictEqual(iir.isMaximumPhase(), iir.isMinimumPhase());
+  assert.ok(!IIRFilter.fromTF([1], [1, -1.1]).isStable().stable);
+  const fir=FIRFilter.fromTaps([2, -2, 0.5]);
+  assert.deepStrictEqual(fir.isStable(), Analysis.stability([]));
+  const ph=fir.isMinimumPhase(); assert.ok(ph.minimumPhase); close(ph.maxZeroRadius, 0.5, 1e-9, 'FIR zeros at 0.5');
+  assert.ok(FIRFilter.fromTaps([0.5, -2, 2]).isMaximumPhase().maximumPhase);
+  assert.strictEqual(FIRFilter.fromTaps([1, 0, -1]).linearPhaseType().type, 3);
+});
@@ -0,0 +1,26 @@
+// Bessel prototypes and their normalizations
+import assert from 'assert';
+import { FilterDSP, Prototypes, Poly, Cx } from '../src/index.js';
+import { test, close, magDb } from './harness.js';
+
+test('bessel: scipy analog prototypes for each norm', ()=>{
+  // norm='delay' is 105/(s^4 + 10s^3 + 45s^2 + 105s + 105)
+  close(Poly.fromRoots(Prototypes.bessel(4, 'delay').poles), [1, 10, 45, 105, 105], 1e-10, 'delay-normalized denominator');
+  const H=(poles, w)=>poles.reduce((h, p)=>Cx.mul(h, Cx.div({ re:-p.re, im:-p.im }, { re:-p.re, im:w-p.im })), { re:1, im:0 });
+  close(Cx.abs(H(Prototypes.bessel(5, 'mag').poles, 1)), Math.SQRT1_2, 1e-10, "norm='mag': |H(j)|");
+  // norm='phase' shares the Butterworth asymptote: the delay-normalized poles scaled so that their product is 1
+  const phase=Poly.fromRoots(Prototypes.bessel(5, 'phase').poles), delay=Poly.fromRoots(Prototypes.bessel(5, 'delay').poles);
+  close(phase[5], 1, 1e-10, "norm='phase': constant term");
+  close(phase, delay.map((c, i)=>c/Math.pow(945, i/5)), 1e-10, "norm='phase': denominator");
+  assert.throws(()=>Prototypes.bessel(3, 'group'), /unknown Bessel normalization 'group'/);
+});
+
+test('bessel: designs honour besselNorm', ()=>{
+  const spec={ family:'bessel', kind:'lowpass', N:4, Fs:1000, f1:100 };
+  // Bilinear designs prewarp f1, so the 'mag' design is exactly -3 dB there
+  close(magDb(FilterDSP.designIIR(spec), [100])[0], 10*Math.log10(0.5), 1e-9, "'mag': gain at f1 (dB)");
+  // The analog reference of a 'delay' design has a group delay of 1/(2π f1) at DC
+  const { analog }=FilterDSP.designIIR({ ...spec, besselNorm:'delay' });
+  close(analog.groupDelay(0), 1/(2*Math.PI*100), 1e-12, "'delay': analog group delay at DC (s)");
+  close(Cx.abs(analog.H(0)), 1, 1e-12, "'delay': analog DC gain");
+});
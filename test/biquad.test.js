@@ -0,0 +1,43 @@
+// RBJ cookbook biquads: gains at DC, f0 and Nyquist for each kind
+import assert from 'assert';
+import { FilterDSP } from '../src/index.js';
+import { test, close, range } from './harness.js';
+
+const Fs=48000, f0=3000;
+const mags=(spec)=>FilterDSP.designBiquad({ Fs, f0, ...spec }).freqz([0, f0, Fs/2]).mag;
+
+test('biquad: lowpass, highpass and both bandpass kinds', ()=>{
+  // Q is the gain at f0 for the lowpass/highpass and the constant-skirt bandpass
+  close(mags({ kind:'lowpass', Q:2 }), [1, 2, 0], 1e-12, 'lowpass');
+  close(mags({ kind:'highpass', Q:2 }), [0, 2, 1], 1e-12, 'highpass');
+  close(mags({ kind:'bandpassSkirt', Q:3 }), [0, 3, 0], 1e-12, 'bandpassSkirt');
+  close(mags({ kind:'bandpassPeak', Q:3 }), [0, 1, 0], 1e-12, 'bandpassPeak');
+  close(mags({ kind:'lowpass' }), [1, Math.SQRT1_2, 0], 1e-12, 'default Q = 1/√2');
+});
+
+test('biquad: notch and allpass', ()=>{
+  close(mags({ kind:'notch', Q:5 }), [1, 0, 1], 1e-12, 'notch');
+  const ap=FilterDSP.designBiquad({ kind:'allpass', Fs, f0, Q:0.9 }), r=ap.freqz(range(50, i=>i*Fs/100));
+  close(r.mag, new Array(50).fill(1), 1e-12, 'allpass |H|');
+  close(Math.abs(ap.freqz([f0]).phaseRad[0]), Math.PI, 1e-12, 'allpass phase at f0');
+});
+
+test('biquad: peaking and shelving gains', ()=>{
+  const g=10**(6/20), half=10**(3/20);
+  close(mags({ kind:'peaking', gaindB:6, Q:2 }), [1, g, 1], 1e-12, 'peaking');
+  close(mags({ kind:'peaking', gaindB:-6, Q:2 }), [1, 1/g, 1], 1e-12, 'peaking cut');
+  // Shelves reach gaindB on their side and half of it (in dB) at f0
+  close(mags({ kind:'lowShelf', gaindB:6, S:1 }), [g, half, 1], 1e-12, 'lowShelf');
+  close(mags({ kind:'highShelf', gaindB:6, S:1 }), [1, half, g], 1e-12, 'highShelf');
+  // S = 1 is the steepest monotonic shelf, the same as Q = 1/√2
+  close(FilterDSP.designBiquad({ kind:'lowShelf', Fs, f0, gaindB:6, S:1 }).tf().b, FilterDSP.designBiquad({ kind:'lowShelf', Fs, f0, gaindB:6 }).tf().b, 1e-12, 'S = 1');
+});
+
+test('biquad: BW in octaves matches the equivalent Q, and spec errors', ()=>{
+  // 1/Q = 2 sinh(ln2/2 · BW · w0/sin w0)
+  const w0=2*Math.PI*f0/Fs, Q=1/(2*Math.sinh(Math.LN2/2*w0/Math.sin(w0)));
+  close(FilterDSP.designBiquad({ kind:'bandpassPeak', Fs, f0, BW:1 }).tf().a, FilterDSP.designBiquad({ kind:'bandpassPeak', Fs, f0, Q }).tf().a, 1e-12, 'BW = 1 octave');
+  assert.throws(()=>FilterDSP.designBiquad({ kind:'shelf', Fs, f0 }), /unknown biquad kind 'shelf'/);
+  assert.throws(()=>FilterDSP.designBiquad({ kind:'lowpass', Fs, f0:Fs/2 }), /f0 must lie in \(0, Fs\/2\)/);
+  assert.throws(()=>FilterDSP.designBiquad({ kind:'peaking', Fs, f0, S:1 }), /slope S applies to shelving filters only/);
+});
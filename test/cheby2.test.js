@@ -0,0 +1,26 @@
+// Chebyshev II (inverse Chebyshev) prototype
+import assert from 'assert';
+import { Prototypes, Cx } from '../src/index.js';
+import { test, close, range } from './harness.js';
+
+// |H(jw)| of a prototype zpk, normalized to unit gain at DC
+function protoMag(p, w){
+  const at=(s)=>{
+    let h={re:1, im:0};
+    for(const z of p.zeros) h=Cx.mul(h, Cx.sub(s, z));
+    for(const q of p.poles) h=Cx.div(h, Cx.sub(s, q));
+    return h;
+  };
+  return Cx.abs(at({re:0, im:w}))/Cx.abs(at({re:0, im:0}));
+}
+
+test('cheby2: stable poles, Rs at the stopband edge and an equiripple stopband', ()=>{
+  for(const N of [3, 4, 5]){
+    const p=Prototypes.cheby2(N, 40);
+    assert.ok(p.poles.every(q=>q.re<0), `N=${N}: pole in the right half-plane`);
+    close(20*Math.log10(protoMag(p, 1)), -40, 1e-9, `N=${N}: gain at 1 rad/s (dB)`);
+    // |H|² = ε²T_N²(1/w)/(1 + ε²T_N²(1/w)) with ε² = 1/(10^(Rs/10) - 1)
+    const e2=1/(Math.pow(10, 4)-1), ws=range(50, i=>0.05+0.04*i).concat(range(50, i=>1.1+0.2*i));
+    close(ws.map(w=>protoMag(p, w)), ws.map(w=>{ const T=w>1 ? Math.cos(N*Math.acos(1/w)) : Math.cosh(N*Math.acosh(1/w)); return Math.sqrt(e2*T*T/(1+e2*T*T)); }), 1e-9, `N=${N}: |H(jw)|`);
+  }
+});
@@ -0,0 +1,34 @@
+// Conversions between tf, zpk, sos and state-space forms
+import { Convert } from '../src/index.js';
+import { test, close, B2, A2 } from './harness.js';
+
+test('conversions: tf2zpk, zpk2tf, tf2sos, sos2tf, tf2ss, ss2tf', ()=>{
+  const { z, p, k }=Convert.tf2zpk(B2, A2);
+  close(z.flatMap(v=>[v.re, v.im]), [-1, 0, -1, 0], 1e-6, 'zeros');
+  close(p.map(v=>Math.abs(v.im)).concat(p.map(v=>v.re)), [Math.SQRT2-1, Math.SQRT2-1, 0, 0], 1e-12, 'poles');
+  close(k, B2[0], 1e-15, 'gain');
+  const tf=Convert.zpk2tf(z, p, k);
+  close(tf.b, B2, 1e-12, 'zpk2tf b'); close(tf.a, A2, 1e-12, 'zpk2tf a');
+  const b=[1, -0.3, 0.2, 0.05], a=[1, -1.2, 0.75, -0.2], back=Convert.sos2tf(Convert.tf2sos(b, a));
+  close(back.b, b, 1e-12, 'sos2tf b'); close(back.a, a, 1e-12, 'sos2tf a');
+  // Controller canonical form, as scipy.signal.tf2ss
+  const ss=Convert.tf2ss([1, 2, 3], [1, 0.4, 0.3]);
+  close(ss.A.flat(), [-0.4, -0.3, 1, 0], 1e-15, 'A'); close(ss.B, [1, 0], 0, 'B'); close(ss.C, [1.6, 2.7], 1e-15, 'C'); close(ss.D, 1, 0, 'D');
+  const rt=Convert.ss2tf(ss.A, ss.B, ss.C, ss.D);
+  close(rt.b, [1, 2, 3], 1e-12, 'ss2tf b'); close(rt.a, [1, 0.4, 0.3], 1e-12, 'ss2tf a');
+});
+
+test('conversions: sos2zpk collects the roots and gain of every section', ()=>{
+  // Fourth order, so no padding roots at the origin are added
+  const b=[2, -0.6, 0.4, 0.1, 0.3], a=[1, -1.2, 0.75, -0.2, 0.05], { z, p, k }=Convert.sos2zpk(Convert.tf2sos(b, a));
+  const tf=Convert.zpk2tf(z, p, k);
+  close(tf.b, b, 1e-12, 'b'); close(tf.a, a, 1e-12, 'a');
+});
+
+test('conversions: tf2sos keeps leading zeros of b as delays, zpk2sos pads with zeros at the origin', ()=>{
+  for(const opts of [{}, { pairing:'keep_odd' }, { pairing:'minimal' }, { scale:'l2' }]){
+    const back=Convert.sos2tf(Convert.tf2sos([0, 0, 1, 0.5], [1, -0.5, 0.1], opts));
+    close(back.b, [0, 0, 1, 0.5], 1e-12, `b ${JSON.stringify(opts)}`); close(back.a, [1, -0.5, 0.1], 1e-12, `a ${JSON.stringify(opts)}`);
+  }
+  close(Convert.zpk2sos([], [{ re:0.5, im:0 }], 2)[0].b, [2, 0, 0], 0, 'zpk2sos');
+});
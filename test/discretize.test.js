@@ -0,0 +1,57 @@
+// Impulse invariance and matched-z mappings, and SciPy-style SOS.fromZPK padding
+import assert from 'assert';
+import { FilterDSP, Discretize, Convert, SOS, Cx } from '../src/index.js';
+import { test, close, range } from './harness.js';
+
+// Direct-form recursion, so that leading zeros of b stay delays
+function impulse(b, a, L){
+  const h=[];
+  for(let n=0;n<L;n++){
+    let v=n<b.length ? b[n] : 0;
+    for(let i=1;i<a.length && i<=n;i++) v-=a[i]*h[n-i];
+    h.push(v/a[0]);
+  }
+  return h;
+}
+
+test('impulseInvariance: h[n] = T·h_a(nT), with h[0] = 0 kept as a delay', ()=>{
+  const Fs=10, T=1/Fs;
+  // 1/((s+1)(s+3)): h_a(t) = (e^-t - e^-3t)/2
+  const a=Discretize.impulseInvariance([], [{ re:-1, im:0 }, { re:-3, im:0 }], 1, Fs), ta=Convert.zpk2tf(a.zeros, a.poles, a.gain);
+  close(impulse(ta.b, ta.a, 40), range(40, n=>T*(Math.exp(-n*T)-Math.exp(-3*n*T))/2), 1e-12, '1/((s+1)(s+3))');
+  // Double pole 1/(s+2)²: h_a(t) = t e^-2t
+  const d=Discretize.impulseInvariance([], [{ re:-2, im:0 }, { re:-2, im:0 }], 1, Fs), td=Convert.zpk2tf(d.zeros, d.poles, d.gain);
+  assert.strictEqual(d.zeros.length, 1);
+  close(impulse(td.b, td.a, 40), range(40, n=>T*n*T*Math.exp(-2*n*T)), 1e-12, '1/(s+2)²');
+  // (s+1)/(s+2): direct term δ(t) plus -e^-2t
+  const r=Discretize.residues([{ re:-1, im:0 }], [{ re:-2, im:0 }]);
+  assert.strictEqual(r.direct, 1); close([r.terms[0].A[0].re], [-1], 1e-12, 'residue');
+});
+
+test('impulseInvariance designs: the delay survives every pairing and section order', ()=>{
+  const spec={ family:'butter', kind:'lowpass', N:3, Fs:1000, f1:50, transform:'impulseInvariance' };
+  const f=FilterDSP.designIIR(spec), h=f.impulseResponse(80), T=1/spec.Fs;
+  const ha=f.analog.impulseResponse(range(80, n=>n*T)).y, scale=h[10]/(T*ha[10]);
+  close(h, ha.map(v=>scale*T*v), 1e-9, 'h[n] ∝ T·h_a(nT)');
+  close(h[0], 0, 0, 'h[0]');
+  for(const opts of [{ pairing:'keep_odd' }, { pairing:'minimal' }, { sectionOrder:'descending' }])
+    close(FilterDSP.designIIR({ ...spec, ...opts }).impulseResponse(80), h, 1e-12, JSON.stringify(opts));
+});
+
+test('matchedZ: roots map by z = e^(sT), zeros at infinity go to Nyquist, gain matches at wRef', ()=>{
+  const Fs=100, T=1/Fs, z=[{ re:-5, im:0 }], p=[{ re:-1, im:3 }, { re:-1, im:-3 }, { re:-10, im:0 }];
+  const m=Discretize.matchedZ(z, p, 2, Fs, { wRef:4 });
+  close(m.poles.flatMap(v=>[v.re, v.im]), p.flatMap(s=>[Math.exp(s.re*T)*Math.cos(s.im*T), Math.exp(s.re*T)*Math.sin(s.im*T)]), 1e-15, 'poles');
+  close(m.zeros.flatMap(v=>[v.re, v.im]), [Math.exp(-5*T), 0, -1, 0, -1, 0], 1e-15, 'zeros');
+  const Ha=Cx.div({ re:2*5, im:2*4 }, p.reduce((d, q)=>Cx.mul(d, { re:-q.re, im:4-q.im }), { re:1, im:0 }));
+  const zw={ re:Math.cos(4*T), im:Math.sin(4*T) };
+  const Hd=m.zeros.reduce((h, q)=>Cx.mul(h, Cx.sub(zw, q)), { re:m.gain, im:0 });
+  close(Cx.abs(m.poles.reduce((h, q)=>Cx.div(h, Cx.sub(zw, q)), Hd)), Cx.abs(Ha), 1e-12, '|H| at wRef');
+});
+
+test('SOS.fromZPK pads missing zeros at the origin, as scipy zpk2sos', ()=>{
+  const [s]=SOS.fromZPK([], [{ re:0.5, im:0.3 }, { re:0.5, im:-0.3 }]);
+  close(s.b, [1, 0, 0], 0, 'b'); close(s.a, [1, -1, 0.34], 1e-15, 'a');
+  // 'minimal' leaves them out, which makes them delays
+  close(SOS.fromZPK([], [{ re:0.5, im:0.3 }, { re:0.5, im:-0.3 }], 1, { pairing:'minimal' })[0].b, [0, 0, 1], 0, 'minimal b');
+});
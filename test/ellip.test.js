@@ -0,0 +1,39 @@
+// Elliptic (Cauer) prototype and designs, and the 'ellipHybrid' approximation
+import assert from 'assert';
+import { FilterDSP, Prototypes, Cx } from '../src/index.js';
+import { test, close, range, magDb } from './harness.js';
+
+test('ellip: ripple is exactly Rp in the passband and Rs in the stopband', ()=>{
+  const f=FilterDSP.designIIR({ family:'ellip', kind:'lowpass', N:4, Rp:1, Rs:40, Fs:2, f1:0.2 });
+  const pass=magDb(f, range(201, i=>0.2*i/200)), stop=magDb(f, range(701, i=>0.3+0.7*i/700));
+  close(Math.max(...pass), 0, 1e-6, 'passband maximum (dB)');
+  close(Math.min(...pass), -1, 1e-6, 'passband minimum (dB)');
+  close(pass[0], -1, 1e-9, 'DC gain of an even order (dB)');
+  close(pass[200], -1, 1e-9, 'gain at Wn (dB)');
+  close(Math.max(...stop), -40, 1e-3, 'stopband maximum (dB)');
+});
+
+test('ellip: odd orders have 0 dB at DC and a real pole; highpass mirrors the lowpass', ()=>{
+  const p=Prototypes.ellip(5, 0.5, 50);
+  assert.strictEqual(p.poles.length, 5); assert.strictEqual(p.zeros.length, 4);
+  assert.strictEqual(p.poles.filter(v=>v.im===0).length, 1);
+  close(p.zeros.map(z=>z.re), [0, 0, 0, 0], 0, 'zeros on the jw axis');
+  const Fs=1000, lp=FilterDSP.designIIR({ family:'ellip', kind:'lowpass', N:5, Rp:0.5, Rs:50, Fs, f1:100 });
+  const pass=magDb(lp, range(101, i=>i)), stop=magDb(lp, range(301, i=>200+i));
+  close(pass[0], 0, 1e-9, 'DC gain (dB)'); close(pass[100], -0.5, 1e-9, 'gain at f1 (dB)');
+  close(Math.min(...pass), -0.5, 1e-6, 'passband minimum (dB)');
+  assert.ok(Math.max(...stop)<=-50+1e-6, `stopband peaks at ${Math.max(...stop)} dB`);
+  // Lowpass-to-highpass maps Ω to Ωc²/Ω on the prewarped axis: |H_hp(f)| = |H_lp(f')| with tan(πf/Fs)·tan(πf'/Fs) = tan²(πf1/Fs)
+  const hp=FilterDSP.designIIR({ family:'ellip', kind:'highpass', N:5, Rp:0.5, Rs:50, Fs, f1:100 });
+  const t1=Math.tan(Math.PI*100/Fs), fs=range(20, i=>20+22*i), mirror=fs.map(f=>Math.atan(t1*t1/Math.tan(Math.PI*f/Fs))*Fs/Math.PI);
+  close(hp.freqz(fs).mag, lp.freqz(mirror).mag, 1e-9, 'mirrored magnitude');
+});
+
+test('ellipHybrid: Chebyshev I poles with Chebyshev II zeros', ()=>{
+  const h=Prototypes.ellipHybrid(4, 1, 40);
+  assert.deepStrictEqual(h.poles, Prototypes.cheby1(4, 1).poles);
+  assert.deepStrictEqual(h.zeros, Prototypes.cheby2(4, 40).zeros);
+  const f=FilterDSP.designIIR({ family:'ellipHybrid', kind:'lowpass', N:4, Rp:1, Rs:40, Fs:2, f1:0.2 });
+  assert.ok(f.zPoles.every(p=>Cx.abs(p)<1), 'poles outside the unit circle');
+  close(magDb(f, [0])[0], 0, 1e-9, 'DC gain (dB)');
+});
@@ -0,0 +1,58 @@
+// Parametric and graphic EQ
+import assert from 'assert';
+import { EQ, FilterDSP } from '../src/index.js';
+import { test, close, range } from './harness.js';
+
+const Fs=48000, BANDS=[
+  { kind:'lowShelf', f0:100, gaindB:4, S:1 },
+  { f0:1000, gaindB:-6, Q:2 },
+  { kind:'highShelf', f0:8000, gaindB:3, S:1 }
+];
+const biquad=b=>FilterDSP.designBiquad({ kind:'peaking', ...b, Fs });
+
+test('EQ: one section per band, kind defaulting to peaking', ()=>{
+  const eq=new EQ({ Fs, bands:BANDS });
+  assert.strictEqual(eq.sections.length, 3);
+  BANDS.forEach((b, i)=>close(eq.sections[i].b.concat(eq.sections[i].a), biquad(b).sections[0].b.concat(biquad(b).sections[0].a), 0, `band ${i}`));
+  assert.strictEqual(eq.bands[1].kind, 'peaking');
+  assert.strictEqual(eq.zPoles.length, 6); assert.strictEqual(eq.zZeros.length, 6);
+  eq.bands[1].gaindB=0;
+  assert.strictEqual(eq.bands[1].gaindB, -6, 'bands returns copies');
+});
+
+test('EQ: updateBand redesigns one section and keeps the streaming state', ()=>{
+  const x=range(400, n=>Math.sin(0.05*n)+0.3*Math.sin(0.7*n));
+  const eq=new EQ({ Fs, bands:BANDS }), ref=new EQ({ Fs, bands:BANDS });
+  eq.process(x.slice(0, 200)); ref.process(x.slice(0, 200));
+  const before=eq.sections.slice();
+  eq.updateBand(1, { gaindB:-3 });
+  assert.strictEqual(eq.sections[0], before[0]); assert.strictEqual(eq.sections[2], before[2]);
+  close(eq.sections[1].b, biquad({ f0:1000, gaindB:-3, Q:2 }).sections[0].b, 0, 'updated band');
+  assert.deepStrictEqual(eq.bands[1], { kind:'peaking', f0:1000, gaindB:-3, Q:2 });
+  close(eq.getState().flat(), ref.getState().flat(), 0, 'state');
+  // Continuing from the kept state is the same as a fresh cascade of the new sections primed with it
+  const fresh=new EQ({ Fs, bands:eq.bands });
+  fresh.setState(ref.getState());
+  close(eq.process(x.slice(200)), fresh.process(x.slice(200)), 1e-15, 'continued output');
+  assert.throws(()=>eq.updateBand(3, { gaindB:0 }), /EQ has no band 3/);
+});
+
+test('EQ: frequencyGrid bands are the per-band responses and add up in dB', ()=>{
+  const eq=new EQ({ Fs, bands:BANDS }), grid=eq.frequencyGrid(256, { bands:true });
+  BANDS.forEach((b, i)=>close(grid.bandsdB[i], biquad(b).frequencyGrid(256).magdB, 1e-9, `band ${i}`));
+  close(grid.magdB, grid.magdB.map((_, k)=>grid.bandsdB.reduce((s, v)=>s+v[k], 0)), 1e-9, 'sum');
+  const zp=eq.frequencyGrid(256, { bands:true, zeroPhase:true });
+  close(zp.bandsdB[1], grid.bandsdB[1].map(v=>2*v), 1e-9, 'zeroPhase doubles');
+  assert.strictEqual(eq.frequencyGrid(256).bandsdB, undefined);
+});
+
+test('EQ.graphic: log-spaced peaking bands, default range capped at 0.45·Fs', ()=>{
+  const g=EQ.graphic(Fs, [0, 2, 4, 2, 0, -2, -4, -2, 0, 0]), b=g.bands, r=Math.pow(16000/31.25, 1/9);
+  close(b.map(v=>v.f0), range(10, i=>31.25*Math.pow(r, i)), 1e-9, 'centers');
+  close(b.map(v=>v.Q), new Array(10).fill(Math.sqrt(r)/(r-1)), 1e-12, 'Q');
+  close(EQ.graphic(Fs, new Array(10).fill(0)).freqz(range(20, i=>20+1000*i)).magdB, new Array(20).fill(0), 1e-9, 'all gains 0 is flat');
+  const low=EQ.graphic(8000, [1, 2, 3]);
+  close(low.bands.map(v=>v.f0), [31.25, Math.sqrt(31.25*3600), 3600], 1e-9, 'Fs = 8000');
+  assert.throws(()=>EQ.graphic(Fs, [0]), /at least two bands/);
+  assert.throws(()=>EQ.graphic(Fs, [0, 0], { fHigh:24000 }), /band range must lie in \(0, Fs\/2\)/);
+});
@@ -0,0 +1,35 @@
+// Filters from externally supplied coefficients: fromTF, fromSOS, fromZPK, fromTaps
+import assert from 'assert';
+import { IIRFilter, FIRFilter } from '../src/index.js';
+import { test, close, B2, A2 } from './harness.js';
+
+test('factories: each representation builds the same filter', ()=>{
+  const tf=IIRFilter.fromTF(B2, A2, 2), { z, p, k }=tf.zpk();
+  assert.strictEqual(tf.Fs, 2);
+  const sos=IIRFilter.fromSOS([[...B2.map(v=>3*v), 3, 0, 3*A2[2]]], 2), zpk=IIRFilter.fromZPK(z, p, k, 2);
+  for(const [name, f] of [['fromSOS', sos], ['fromZPK', zpk]]) close(f.impulseResponse(32), tf.impulseResponse(32), 1e-12, name);
+  close(sos.sections[0].a, A2, 1e-15, 'fromSOS normalizes a0');
+  close(IIRFilter.fromSOS([{ b:B2, a:A2 }]).sections[0].b, B2, 0, 'fromSOS {b, a} rows');
+  // Leading zeros of b are a delay
+  close(IIRFilter.fromTF(new Float64Array([0, 1]), [1, -0.5]).impulseResponse(4), [0, 1, 0.5, 0.25], 1e-15, 'fromTF delay');
+  const fir=FIRFilter.fromTaps(new Float32Array([0.25, 0.5, 0.25]), 8000);
+  close(fir.taps, [0.25, 0.5, 0.25], 0, 'fromTaps'); assert.strictEqual(fir.Fs, 8000);
+});
+
+test('factories: invalid coefficients, roots and Fs', ()=>{
+  assert.throws(()=>IIRFilter.fromTF([], [1]), /b must be a non-empty array/);
+  assert.throws(()=>IIRFilter.fromTF([1], 'a'), /a must be a non-empty array/);
+  assert.throws(()=>IIRFilter.fromTF([1, NaN], [1]), /b must contain finite numbers/);
+  assert.throws(()=>IIRFilter.fromTF([1], [0, 1]), /a\[0\] must be nonzero/);
+  assert.throws(()=>IIRFilter.fromTF([1], [1], 0), /Fs must be a positive number/);
+  assert.throws(()=>IIRFilter.fromSOS([]), /SOS matrix must be a non-empty array of sections/);
+  assert.throws(()=>IIRFilter.fromSOS([[1, 0, 0, 1, 0]]), /SOS row 0 must have 6 coefficients/);
+  assert.throws(()=>IIRFilter.fromSOS([[1, 0, 0, 1, 0, 0], [1, 0, 0, 0, 1, 0]]), /SOS row 1 has a0 = 0/);
+  assert.throws(()=>IIRFilter.fromSOS([[1, 0, 0, 1, Infinity, 0]]), /SOS row 0 must contain finite numbers/);
+  assert.throws(()=>IIRFilter.fromZPK([{ re:0 }], [1], 1), /poles must be an array of \{re, im\}/);
+  assert.throws(()=>IIRFilter.fromZPK([], [{ re:0.5, im:0 }], NaN), /gain k must be a finite number/);
+  assert.throws(()=>IIRFilter.fromZPK([], [{ re:0.5, im:0 }], 1, -1), /Fs must be a positive number/);
+  assert.throws(()=>FIRFilter.fromTaps([]), /taps must be a non-empty array/);
+  assert.throws(()=>FIRFilter.fromTaps([1, undefined]), /taps must contain finite numbers/);
+  assert.throws(()=>FIRFilter.fromTaps([1], Infinity), /Fs must be a positive number/);
+});
@@ -0,0 +1,46 @@
+// FFT: radix-2 and Bluestein lengths, inverse, real-input transforms and the DTFT grid
+import assert from 'assert';
+import { FFT } from '../src/index.js';
+import { test, close, range } from './harness.js';
+
+function dft(re, im=re.map(()=>0)){
+  const n=re.length;
+  return {
+    re:range(n, k=>re.reduce((s, v, t)=>s+v*Math.cos(2*Math.PI*k*t/n)+im[t]*Math.sin(2*Math.PI*k*t/n), 0)),
+    im:range(n, k=>re.reduce((s, v, t)=>s-v*Math.sin(2*Math.PI*k*t/n)+im[t]*Math.cos(2*Math.PI*k*t/n), 0))
+  };
+}
+// Deterministic pseudo-random samples
+const noise=(n, seed)=>range(n, i=>Math.sin(12.9898*(i+1)*seed)*43758.5453%1);
+
+test('fft: radix-2 and Bluestein lengths match a direct DFT, and ifft inverts', ()=>{
+  for(const n of [1, 2, 8, 64, 3, 5, 12, 100, 127]){
+    const re=noise(n, 1), im=noise(n, 2), X=FFT.fft(re, im), D=dft(re, im);
+    close(Array.from(X.re).concat(Array.from(X.im)), D.re.concat(D.im), 1e-9*n, `n=${n}`);
+    const back=FFT.ifft(X.re, X.im);
+    close(Array.from(back.re).concat(Array.from(back.im)), re.concat(im), 1e-12, `ifft n=${n}`);
+  }
+  assert.throws(()=>FFT.transform(new Float64Array(4), new Float64Array(3)), /re and im must have the same length/);
+});
+
+test('rfft / rfft2: bins 0..n/2 of the real-input DFT, with zero padding and truncation', ()=>{
+  for(const [len, n] of [[16, 16], [15, 15], [10, 16], [20, 12], [3, 3], [6, 9]]){
+    const x=noise(len, 3), pad=range(n, i=>i<len ? x[i] : 0), D=dft(pad), nb=Math.floor(n/2)+1, X=FFT.rfft(x, n);
+    assert.strictEqual(X.re.length, nb);
+    close(Array.from(X.re).concat(Array.from(X.im)), D.re.slice(0, nb).concat(D.im.slice(0, nb)), 1e-9, `rfft length ${len}, n=${n}`);
+  }
+  const x=noise(12, 4), y=noise(9, 5), [X, Y]=FFT.rfft2(x, y);
+  for(const [name, got, v] of [['x', X, x], ['y', Y, y]]){
+    const ref=FFT.rfft(v, 12);
+    close(Array.from(got.re).concat(Array.from(got.im)), Array.from(ref.re).concat(Array.from(ref.im)), 1e-12, `rfft2 ${name}`);
+  }
+});
+
+test('dtftGrid: sum c[n] e^(-jwn) on w = πi/(Nf-1), for short and long coefficient lists', ()=>{
+  for(const c of [[1, -0.5, 0.25], noise(40, 6)]){
+    const Nf=9, G=FFT.dtftGrid(c, Nf), w=range(Nf, i=>Math.PI*i/(Nf-1));
+    close(Array.from(G.re), w.map(v=>c.reduce((s, x, n)=>s+x*Math.cos(v*n), 0)), 1e-12, `re, ${c.length} coefficients`);
+    close(Array.from(G.im), w.map(v=>-c.reduce((s, x, n)=>s+x*Math.sin(v*n), 0)), 1e-12, `im, ${c.length} coefficients`);
+  }
+  close(Array.from(FFT.dtftGrid([1, 2, 3], 1).re), [6], 0, 'Nf = 1');
+});
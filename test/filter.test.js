@@ -0,0 +1,31 @@
+// filter(), process() and reset() on the FIR and IIR models (lfilter semantics)
+import assert from 'assert';
+import { IIRFilter, FIRFilter, FilterDSP } from '../src/index.js';
+import { test, close, range, B2, A2 } from './harness.js';
+
+test('filter: lfilter impulse responses', ()=>{
+  close(IIRFilter.fromTF([1], [1, -0.5], 1).filter([1, 0, 0, 0, 0, 0]), range(6, n=>0.5**n), 1e-15, '1/(1-0.5z^-1)');
+  close(FIRFilter.fromTaps([1, 1]).filter([1, 2, 3, 4]), [1, 3, 5, 7], 0, 'taps [1, 1]');
+  const f=IIRFilter.fromTF(B2, A2, 2), h=f.impulseResponse(4);
+  // h[n] from the difference equation y[n] = Σb·x - a2·y[n-2]
+  close(h, [B2[0], B2[1], B2[2]-A2[2]*B2[0], -A2[2]*B2[1]], 1e-12, 'butter impulse');
+});
+
+test('process: blocks streamed one after another equal one filter() call', ()=>{
+  const x=range(100, n=>Math.sin(0.3*n)+0.1*n%7);
+  for(const f of [FilterDSP.designIIR({ family:'butter', kind:'lowpass', N:5, Fs:1000, f1:120 }), FilterDSP.designFIR({ kind:'lowpass', taps:31, Fs:1000, f1:120 })]){
+    const whole=f.filter(x);
+    f.reset();
+    const parts=[x.slice(0, 7), x.slice(7, 8), x.slice(8, 60), x.slice(60)].flatMap(b=>Array.from(f.process(b)));
+    close(parts, whole, 1e-12, `${f.type} blocks`);
+    f.reset();
+    close(f.process(x.slice(0, 10)), whole.slice(0, 10), 1e-12, `${f.type} after reset`);
+  }
+});
+
+test('filter: output type follows the input', ()=>{
+  const f=FIRFilter.fromTaps([0.5, 0.5]);
+  assert.ok(f.filter(new Float32Array([1, 2, 3])) instanceof Float32Array);
+  assert.ok(f.filter(new Float64Array([1, 2, 3])) instanceof Float64Array);
+  assert.ok(Array.isArray(f.filter([1, 2, 3])));
+});
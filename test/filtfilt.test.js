@@ -0,0 +1,27 @@
+// Zero-phase filtfilt() with edge padding
+import assert from 'assert';
+import { FIRFilter, FilterEngine, FilterDSP, Cx, Response } from '../src/index.js';
+import { test, close, range } from './harness.js';
+
+const butter2=()=>FilterDSP.designIIR({ family:'butter', kind:'lowpass', N:2, Fs:2, f1:0.5 });
+
+test('filtfilt: constants and ramps pass unchanged', ()=>{
+  const x=range(60, n=>0.5*n-3);
+  close(FIRFilter.fromTaps([0.25, 0.5, 0.25]).filtfilt(x), x, 1e-12, 'symmetric FIR, odd padding');
+  close(butter2().filtfilt(new Array(40).fill(2)), new Array(40).fill(2), 1e-12, 'butter on a constant');
+});
+
+test('filtfilt: a sine comes out scaled by |H|² with no phase shift', ()=>{
+  const f=FilterDSP.designIIR({ family:'butter', kind:'lowpass', N:4, Fs:1000, f1:100 }), w=2*Math.PI*60/1000;
+  const x=range(600, n=>Math.sin(w*n)), y=f.filtfilt(x), g=Cx.abs(Response.H_w_IIR(f.sections, w))**2;
+  close(Array.from(y).slice(150, 450), x.slice(150, 450).map(v=>g*v), 1e-6, 'interior');
+});
+
+test('filtfilt: padtype and padlen', ()=>{
+  const f=FIRFilter.fromTaps([0.25, 0.5, 0.25]), x=range(20, n=>n*n);
+  assert.strictEqual(f.filtfilt(x, { padtype:'none' }).length, 20);
+  close(f.filtfilt(x, { padtype:null }), f.filtfilt(x, { padtype:'none' }), 0, 'null is none');
+  for(const padtype of ['odd', 'even', 'constant']) assert.strictEqual(f.filtfilt(x, { padtype }).length, 20);
+  assert.throws(()=>f.filtfilt(x, { padlen:20 }), /must exceed padlen/);
+  assert.throws(()=>FilterEngine.firfiltfilt([0.5, 0.5], x, { padtype:'zero' }), /unknown padtype 'zero'/);
+});
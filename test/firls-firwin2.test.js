@@ -0,0 +1,30 @@
+// Least-squares (firls) and frequency-sampling (firwin2) FIR design
+import assert from 'assert';
+import { LeastSquares, FreqSampling, FilterDSP } from '../src/index.js';
+import { test, close, range } from './harness.js';
+
+test('firls: with no transition band the least-squares fit is the truncated sinc', ()=>{
+  const taps=LeastSquares.design(21, [0, 0.2, 0.2, 0.5], [1, 0]);
+  close(taps, range(21, n=>n===10 ? 0.4 : Math.sin(0.4*Math.PI*(n-10))/(Math.PI*(n-10))), 1e-12, 'taps');
+});
+
+test('firls: a full-band constant is an impulse, and Fs scales the edges', ()=>{
+  close(LeastSquares.design(7, [0, 0.5], [2, 2]), [0, 0, 0, 2, 0, 0, 0], 1e-12, 'taps');
+  close(LeastSquares.design(21, [0, 200, 300, 500], [1, 0], { Fs:1000 }), LeastSquares.design(21, [0, 0.2, 0.3, 0.5], [1, 0]), 1e-12, 'Fs');
+  const f=FilterDSP.designFIR({ kind:'lowpass', method:'firls', taps:21, Fs:1, bands:[0, 0.2, 0.3, 0.5], desired:[1, 0] });
+  close(f.taps, LeastSquares.design(21, [0, 0.2, 0.3, 0.5], [1, 0]), 1e-12, 'FIRDesigner method firls');
+});
+
+test('firwin2: flat gain gives a centred impulse', ()=>{
+  close(FreqSampling.design(11, [0, 0.5], [1, 1]), range(11, n=>n===5 ? 1 : 0), 1e-12, 'taps');
+  const taps=FreqSampling.design(41, [0, 0.1, 0.2, 0.5], [1, 1, 0, 0]);
+  close(taps, taps.slice().reverse(), 1e-15, 'symmetry');
+  close(taps.reduce((s, v)=>s+v, 0), 1, 1e-3, 'DC gain');
+});
+
+test('firls / firwin2: reject bad specs', ()=>{
+  assert.throws(()=>LeastSquares.design(11, [0, 0.2, 0.3], [1, 0]), /band edges must come in pairs/);
+  assert.throws(()=>FreqSampling.design(11, [0, 0.5], [1]), /matching freq and gain/);
+  assert.throws(()=>FreqSampling.design(11, [0.1, 0.5], [1, 1]), /start at 0 and end at Fs\/2/);
+  assert.throws(()=>FreqSampling.design(10, [0, 0.5], [1, 1]), /even number of taps needs zero gain/);
+});
@@ -0,0 +1,53 @@
+// Fractional delays: Lagrange, windowed-sinc and Thiran accuracy, and the Farrow structure against its fixed FIRs
+import assert from 'assert';
+import { FractionalDelay, Farrow, Response, Cx } from '../src/index.js';
+import { test, close, range } from './harness.js';
+
+// Output sample n of taps h applied to x from rest
+const at=(h, x, n)=>h.reduce((acc, v, k)=>n-k>=0 ? acc+v*x[n-k] : acc, 0);
+
+test('Lagrange delay: exact on polynomials up to its order, and whole delays are pure shifts', ()=>{
+  const p=t=>0.5-0.2*t+0.03*t*t-0.001*t*t*t, x=range(40, p);
+  for(const D of [0.3, 2.37, 5.5]){
+    const h=FractionalDelay.lagrange(D).taps, n0=h.length;
+    close(h.reduce((a, b)=>a+b, 0), 1, 1e-12, `DC gain ${D}`);
+    close(range(40-n0, i=>at(h, x, i+n0)), range(40-n0, i=>p(i+n0-D)), 1e-9, `cubic ${D}`);
+  }
+  close(FractionalDelay.lagrange(2).taps, [0, 0, 1, 0, 0], 1e-15, 'integer delay');
+  close(FractionalDelay.lagrange(4, { order:1 }).taps, [0, 0, 0, 0, 1, 0], 1e-15, 'integer delay, order 1');
+});
+
+test('windowed-sinc delay: delays a low-frequency sine by the fractional amount', ()=>{
+  const D=7.3, h=FractionalDelay.sinc(D, { taps:16 }).taps, x=range(200, n=>Math.sin(0.3*n));
+  close(range(100, i=>at(h, x, i+50)), range(100, i=>Math.sin(0.3*(i+50-D))), 1e-3, 'sine');
+  close([Response.groupDelayFIR(h, 0.1)], [D], 1e-2, 'group delay near DC');
+});
+
+test('Thiran delay: unit magnitude, group delay D at DC, and the stability bound', ()=>{
+  for(const [D, order] of [[4.6, undefined], [1.3, 1], [2.2, 3]]){
+    const f=FractionalDelay.thiran(D, { order });
+    assert.ok(f.isStable().stable, `stable ${D}`);
+    close([0.2, 1, 2.5].map(w=>Cx.abs(Response.H_w_IIR(f.sections, w))), [1, 1, 1], 1e-12, `allpass ${D}`);
+    close([Response.groupDelayIIR(f.sections, 1e-4)], [D], 1e-6, `group delay ${D}`);
+  }
+  assert.throws(()=>FractionalDelay.thiran(1.5, { order:3 }), /unstable for delay 1.5/);
+});
+
+test('Farrow: constant and per-sample delays match the fixed Lagrange FIRs, streamed or not', ()=>{
+  const fw=new Farrow({ order:3, maxDelay:6 }), x=range(120, n=>Math.cos(0.2*n)+(n%3)/10);
+  close(fw.filter(x, 2.4), range(120, n=>at(fw.at(2.4).taps, x, n)), 1e-12, 'constant delay');
+  const delays=range(120, n=>3+2.5*Math.sin(0.05*n));
+  const want=range(120, n=>at(fw.at(delays[n]).taps, x, n));
+  close(fw.filter(x, delays), want, 1e-12, 'per-sample delay');
+  const out=[...fw.process(x.slice(0, 50), delays.slice(0, 50)), ...fw.process(x.slice(50), delays.slice(50))];
+  close(out, want, 1e-12, 'streamed');
+});
+
+test('Farrow: rejects a missing delay, a delay array of the wrong length and delays out of range', ()=>{
+  const fw=new Farrow({ order:3, maxDelay:4 });
+  assert.throws(()=>fw.process([1, 2, 3]), /Farrow delay must be a number or an array/);
+  assert.throws(()=>fw.filter([1, 2, 3], null), /Farrow delay must be a number or an array/);
+  assert.throws(()=>fw.process([1, 2, 3], [1, 2]), /2 values for a block of 3 samples/);
+  assert.throws(()=>fw.process([1, 2, 3], 4.5), /fractional delay 4.5 outside \[0, 4\]/);
+  assert.throws(()=>fw.at(-1), /outside/);
+});
@@ -0,0 +1,38 @@
+// Frequency-response points: linear, whole-circle and log grids
+import assert from 'assert';
+import { Response, FIRFilter, IIRFilter } from '../src/index.js';
+import { test, close, range, B2, A2 } from './harness.js';
+
+// Direct sum of b[n] e^(-jwn)
+const dtft=(b, w)=>({ re:b.reduce((s, v, n)=>s+v*Math.cos(w*n), 0), im:-b.reduce((s, v, n)=>s+v*Math.sin(w*n), 0) });
+
+test('freqz: the whole circle excludes 2π, as scipy.signal.freqz(whole=True)', ()=>{
+  const b=[1, 2, 3, -1], r=Response.freqz(b, [1], { n:8, whole:true });
+  close(r.w, range(8, k=>2*Math.PI*k/8), 1e-15, 'w');
+  close(r.H.flatMap(h=>[h.re, h.im]), r.w.flatMap(w=>{ const h=dtft(b, w); return [h.re, h.im]; }), 1e-12, 'H');
+  // Real coefficients: H(2π - w) = conj(H(w))
+  close(r.H.slice(5).flatMap(h=>[h.re, h.im]), r.H.slice(1, 4).reverse().flatMap(h=>[h.re, -h.im]), 1e-12, 'conjugate symmetry');
+  close(Response.freqz(b, [1], { n:5 }).w, range(5, k=>Math.PI*k/4), 1e-15, 'half circle includes Nyquist');
+  // With Fs the whole circle runs to Fs (exclusive) in Hz
+  const f=FIRFilter.fromTaps(b, 1000).freqz({ n:4, whole:true });
+  close(f.freqHz, [0, 250, 500, 750], 1e-12, 'freqHz');
+});
+
+test('freqz: log grids, fmax defaulting to Nyquist', ()=>{
+  const f=IIRFilter.fromTF(B2, A2, 48000);
+  const r=f.freqz({ scale:'log', fmin:20, fmax:20000, n:4 });
+  close(r.freqHz, [20, 200, 2000, 20000], 1e-9, 'decades');
+  close(f.freqz({ scale:'log', fmin:24, n:4 }).freqHz, [24, 240, 2400, 24000], 1e-9, 'default fmax');
+  close(r.mag, r.freqHz.map(hz=>{ const w=2*Math.PI*hz/48000, n=dtft(B2, w), d=dtft(A2, w); return Math.hypot(n.re, n.im)/Math.hypot(d.re, d.im); }), 1e-12, '|H|');
+  close(Response.freqPoints({ scale:'log', fmin:0.01, fmax:1, n:3 }), [0.01, 0.1, 1], 1e-15, 'rad/sample');
+  close(f.freqz({ scale:'log', fmin:100, n:1 }).freqHz, [100], 1e-9, 'single point');
+});
+
+test('freqz: grid errors', ()=>{
+  assert.throws(()=>Response.freqPoints({ scale:'log', fmax:100 }, 1000), /log-spaced frequencies need 0 < fmin < fmax/);
+  assert.throws(()=>Response.freqPoints({ scale:'log', fmin:200, fmax:100 }, 1000), /log-spaced frequencies need 0 < fmin < fmax/);
+  assert.throws(()=>Response.freqPoints({ scale:'octave' }), /unknown frequency scale 'octave'/);
+  assert.throws(()=>Response.freqPoints({ n:0 }), /number of frequency points must be a positive integer/);
+  assert.throws(()=>Response.freqPoints([1], undefined, 'hz'), /frequencies in Hz need a positive Fs/);
+  assert.throws(()=>Response.freqPoints([1], 1000, 'deg'), /unknown frequency units 'deg'/);
+});
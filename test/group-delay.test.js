@@ -0,0 +1,25 @@
+// Exact group delay of FIR taps and IIR sections
+import { FilterDSP, IIRFilter, FIRFilter, Response, Cx } from '../src/index.js';
+import { test, close, range } from './harness.js';
+
+test('group delay: linear-phase FIR and a one-pole IIR', ()=>{
+  const f=FilterDSP.designFIR({ kind:'lowpass', method:'remez', taps:21, Fs:1, f1:0.2 });
+  const gd=f.frequencyGrid(64).gdSamples;
+  close(gd, new Array(gd.length).fill(10), 1e-9, 'FIR (N-1)/2');
+  // 1/(1 - a z^-1): τ(w) = (a cos w - a²)/(1 - 2a cos w + a²)
+  const s=IIRFilter.fromTF([1], [1, -0.5]).sections, a=0.5;
+  for(const w of [0, 0.3, 1, 2, Math.PI]) close(Response.groupDelayIIR(s, w), (a*Math.cos(w)-a*a)/(1-2*a*Math.cos(w)+a*a), 1e-12, `τ(${w})`);
+});
+
+test('group delay: matches the phase derivative, and takes the limit at zeros on the unit circle', ()=>{
+  const f=IIRFilter.fromTF([1, -0.4, 0.8], [1, -1.1, 0.6]), w=range(20, i=>0.1+0.15*i), dw=1e-6;
+  const phase=v=>{ const h=Response.H_w_IIR(f.sections, v); return Math.atan2(h.im, h.re); };
+  close(w.map(v=>Response.groupDelayIIR(f.sections, v)), w.map(v=>-(phase(v+dw)-phase(v-dw))/(2*dw)), 1e-6, 'IIR');
+  close(f.frequencyGrid(5).gdSamples, range(5, i=>Response.groupDelayIIR(f.sections, Math.PI*i/4)), 1e-12, 'grid');
+  // 1 + z^-1 has its zero at Nyquist; its delay is 1/2 everywhere, including the limit there
+  close(FIRFilter.fromTaps([1, 1]).frequencyGrid(9).gdSamples, new Array(9).fill(0.5), 1e-6, 'FIR zero at Nyquist');
+  // The notch zeros e^(±j) add 1/2 each away from w = 1, and in the limit at it
+  const a=[1, -1.6*Math.cos(1), 0.64], notch=IIRFilter.fromTF([1, -2*Math.cos(1), 1], a);
+  close([Cx.abs(Response.H_w_IIR(notch.sections, 1))], [0], 1e-12, 'notch');
+  close([Response.groupDelayIIR(notch.sections, 1)], [1+Response.groupDelayIIR(IIRFilter.fromTF([1], a).sections, 1)], 1e-6, 'IIR zero on the circle');
+});
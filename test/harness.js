@@ -0,0 +1,27 @@
+// Shared test helpers: test() runs one case and records a failure instead of stopping the run
+import assert from 'assert';
+
+const results={ passed:0, failed:0 };
+
+export function test(name, fn){
+  try{ fn(); results.passed++; console.log(`ok - ${name}`); }
+  catch(e){ results.failed++; console.log(`not ok - ${name}\n  ${String(e.message).split('\n').join('\n  ')}`); }
+}
+
+// Element-wise |actual - expected| <= tol
+export function close(actual, expected, tol, what='value'){
+  const a=typeof actual==='number' ? [actual] : Array.from(actual), e=typeof expected==='number' ? [expected] : Array.from(expected);
+  assert.strictEqual(a.length, e.length, `${what}: length ${a.length}, expected ${e.length}`);
+  for(let i=0;i<a.length;i++) assert.ok(Math.abs(a[i]-e[i])<=tol, `${what}[${i}] = ${a[i]}, expected ${e[i]} (tol ${tol})`);
+}
+
+export const range=(n, f)=>Array.from({ length:n }, (_, i)=>f(i));
+export const magDb=(f, freqHz)=>f.freqz(freqHz).magdB;
+
+// scipy.signal.butter(2, 0.5): b = (2-√2)/4·[1, 2, 1], a = [1, 0, 3-2√2]; zeros at -1, poles at ±j(√2-1)
+export const B2=[0.29289321881345254, 0.5857864376269051, 0.29289321881345254], A2=[1, 0, 0.1715728752538099];
+
+export function summary(){
+  console.log(`\n${results.passed} passed, ${results.failed} failed`);
+  if(results.failed) process.exitCode=1;
+}
@@ -0,0 +1,32 @@
+// Hilbert transformers, differentiators and the analytic signal
+import assert from 'assert';
+import { FilterDSP, Analytic, Response, Cx } from '../src/index.js';
+import { test, close, range } from './harness.js';
+
+test('Hilbert transformer: ideal taps and the analytic signal', ()=>{
+  // Window design: h[k] = 2/(πk) for odd k, 0 for even k, times the window (hamming by default), scaled to unit gain at Fs/4
+  const win=Analytic.hilbertFilter({ taps:11, method:'window' }).taps;
+  const ideal=range(11, n=>{ const k=n-5; return k%2 ? 2/(Math.PI*k)*(0.54-0.46*Math.cos(2*Math.PI*n/10)) : 0; });
+  close(Cx.abs(Response.H_w_FIR(win, Math.PI/2)), 1, 1e-12, 'gain at Fs/4');
+  close(win, ideal.map(v=>v*win[6]/ideal[6]), 1e-12, 'window taps');
+  const eq=Analytic.hilbertFilter({ taps:31 }).taps;
+  close(eq, eq.slice().reverse().map(v=>-v), 1e-12, 'remez antisymmetry');
+  close(eq.filter((_, n)=>(n-15)%2===0), new Array(15).fill(0), 1e-12, 'remez even offsets');
+  const x=range(400, n=>Math.cos(2*Math.PI*0.1*n)), s=Analytic.signal(x, { taps:101 });
+  close(Array.from(s.im).slice(100, 300), range(200, i=>Math.sin(2*Math.PI*0.1*(i+100))), 1e-3, 'imaginary part');
+  close(Array.from(s.envelope).slice(100, 300), new Array(200).fill(1), 1e-3, 'envelope');
+  close(Array.from(s.frequency).slice(100, 300), new Array(200).fill(0.1), 1e-3, 'instantaneous frequency');
+});
+
+test('differentiator: antisymmetric taps with response jω, windowed and equiripple', ()=>{
+  // Remove the linear phase e^(-jω(N-1)/2) and compare with jω
+  const slope=(h, w)=>{ const H=Response.H_w_FIR(h, w), r=Cx.mul(H, { re:Math.cos(w*(h.length-1)/2), im:Math.sin(w*(h.length-1)/2) }); return [r.re, r.im]; };
+  const win=FilterDSP.designFIR({ kind:'differentiator', taps:32, Fs:1, window:'kaiser', beta:6 }).taps;
+  close(win, win.slice().reverse().map(v=>-v), 1e-12, 'window antisymmetry');
+  close(slope(win, 1e-4), [0, 1e-4], 1e-12, 'unit slope at DC');
+  for(const w of [0.2, 0.8, 1.5]) close(slope(win, w), [0, w], 2e-2*w, `window ω = ${w}`);
+  const eq=FilterDSP.designFIR({ kind:'differentiator', method:'remez', taps:32, Fs:1 }).taps;
+  close(eq, eq.slice().reverse().map(v=>-v), 1e-12, 'remez antisymmetry');
+  for(const w of [0.2, 0.8, 1.5, 2.5]) close(slope(eq, w), [0, w], 1e-2*w, `remez ω = ${w}`);
+  assert.throws(()=>FilterDSP.designFIR({ kind:'differentiator', method:'remez', taps:31, Fs:1 }), /odd number of antisymmetric taps/);
+});
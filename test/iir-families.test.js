@@ -0,0 +1,36 @@
+// Butterworth and Chebyshev I/II designs against their closed-form bilinear responses, for every band kind
+import { FilterDSP, BLT } from '../src/index.js';
+import { test, close, range, B2, A2 } from './harness.js';
+
+const T=(N, x)=>Math.abs(x)<=1 ? Math.cos(N*Math.acos(x)) : Math.cosh(N*Math.acosh(Math.abs(x)))*(x<0 && N%2 ? -1 : 1);
+const PROTO={
+  butter: (N, x)=>1/Math.sqrt(1+x**(2*N)),
+  cheby1: (N, x, Rp)=>1/Math.sqrt(1+(10**(Rp/10)-1)*T(N, x)**2),
+  // Stopband edge at x = 1: |H|² = 1/(1 + 1/(ε² T_N(1/x)²)), ε² = 1/(10^(Rs/10) - 1)
+  cheby2: (N, x, Rp, Rs)=>1/Math.sqrt(1+(10**(Rs/10)-1)/T(N, 1/x)**2)
+};
+
+// Prototype frequency reached at f (Hz) after the band transformation of the prewarped edges
+function protoFreq(kind, f, f1, f2, Fs){
+  const W=BLT.prewarp(f, Fs), W1=BLT.prewarp(f1, Fs), W2=f2 ? BLT.prewarp(f2, Fs) : 0, B=W2-W1, W0=W1*W2;
+  switch(kind){
+    case 'lowpass': return W/W1;
+    case 'highpass': return W1/W;
+    case 'bandpass': return Math.abs(W*W-W0)/(B*W);
+    default: return Math.abs(B*W/(W0-W*W));
+  }
+}
+
+test('butter(2, 0.5) matches scipy.signal.butter', ()=>{
+  const { b, a }=FilterDSP.designIIR({ family:'butter', kind:'lowpass', N:2, Fs:2, f1:0.5 }).tf();
+  close(b, B2, 1e-12, 'b'); close(a, A2, 1e-12, 'a');
+});
+
+for(const family of ['butter', 'cheby1', 'cheby2']) test(`${family}: |H| matches the closed form for every kind and order 3/4`, ()=>{
+  const Fs=1000, freqs=range(40, i=>Fs/2*(i+0.5)/40), Rp=1, Rs=40;
+  for(const kind of ['lowpass', 'highpass', 'bandpass', 'bandstop']) for(const N of [3, 4]){
+    const f1=100, f2=kind.startsWith('band') ? 200 : undefined;
+    const f=FilterDSP.designIIR({ family, kind, N, Rp, Rs, Fs, f1, f2 });
+    close(f.freqz(freqs).mag, freqs.map(v=>PROTO[family](N, protoFreq(kind, v, f1, f2, Fs), Rp, Rs)), 1e-9, `${kind} N=${N}`);
+  }
+});
@@ -0,0 +1,27 @@
+// Minimum-phase conversion of FIR filters
+import assert from 'assert';
+import { FilterDSP, MinimumPhase } from '../src/index.js';
+import { test, close } from './harness.js';
+
+test('minimum phase: reflected zeros keep the magnitude', ()=>{
+  // (1 - 2z^-1)(1 - 0.5z^-1) has the minimum-phase twin 2(1 - 0.5z^-1)^2
+  close(MinimumPhase.reflect([1, -2.5, 1]), [2, -2, 0.5], 1e-12, 'reflect');
+  close(MinimumPhase.homomorphic([1, -2.5, 1], { half:false }), [2, -2, 0.5], 1e-6, 'homomorphic');
+  const f=FilterDSP.designFIR({ kind:'lowpass', method:'remez', taps:21, Fs:1, f1:0.2 });
+  const m=f.toMinimumPhase({ method:'reflect' });
+  close(m.freqz({ n:128 }).mag, f.freqz({ n:128 }).mag, 1e-9, '|H|');
+  assert.ok(m.isMinimumPhase().minimumPhase && !m.isMaximumPhase().maximumPhase, 'zeros are not all inside the unit circle');
+});
+
+test('minimum phase: homomorphic half length, the reported delay and option errors', ()=>{
+  const f=FilterDSP.designFIR({ kind:'lowpass', taps:21, Fs:1, f1:0.2 });
+  // half: (M+1)/2 taps whose magnitude approximates the square root of the original
+  const h=f.toMinimumPhase({ half:true });
+  assert.strictEqual(h.taps.length, 11);
+  const pass=f.freqz({ n:64, fmax:0.15 }).mag, halfPass=h.freqz({ n:64, fmax:0.15 }).mag;
+  close(halfPass, pass.map(Math.sqrt), 1e-2, 'sqrt|H| in the passband');
+  assert.strictEqual(h.info.conversion, 'homomorphic'); close(h.info.sourceGroupDelay, 10, 1e-9, 'source group delay');
+  assert.ok(h.info.groupDelay<10, `minimum-phase group delay ${h.info.groupDelay} is not below the linear-phase 10`);
+  assert.throws(()=>f.toMinimumPhase({ method:'cepstrum' }), /unknown minimum-phase method 'cepstrum'/);
+  assert.throws(()=>MinimumPhase.homomorphic(f.taps, { nfft:16 }), /nfft must be an integer no shorter than the filter/);
+});
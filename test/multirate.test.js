@@ -0,0 +1,39 @@
+// Polyphase Decimator and Interpolator: streamed blocks against one-shot output and direct filter-then-resample
+import assert from 'assert';
+import { Decimator, Interpolator } from '../src/index.js';
+import { test, close, range } from './harness.js';
+
+const x=range(500, n=>Math.sin(0.03*n)+0.5*Math.cos(0.7*n+1)+(n%7)/10);
+const sizes=[1, 0, 13, 2, 64, 5, 100, 7];
+
+// Feeds x in uneven blocks (sizes repeated, including empty ones) and concatenates the outputs
+function streamed(r, x){
+  const out=[];
+  for(let i=0, b=0; i<x.length; b++){ const n=sizes[b%sizes.length]; out.push(...r.process(x.slice(i, i+n))); i+=n; }
+  return out;
+}
+
+function conv(h, x){ return x.map((_, n)=>h.reduce((acc, v, k)=>n-k>=0 ? acc+v*x[n-k] : acc, 0)); }
+
+test('Decimator: streamed blocks match one-shot output and direct filtering then downsampling', ()=>{
+  for(const spec of [{ factor:3 }, { factor:12, maxStage:4 }, { factor:4, nyquist:true }, { factor:5, taps:[0.1, 0.2, 0.4, 0.2, 0.1] }]){
+    const d=new Decimator(spec), once=Array.from(d.filter(x));
+    assert.strictEqual(once.length, Math.ceil(x.length/spec.factor), `length factor ${spec.factor}`);
+    close(streamed(d, x), once, 1e-12, `streamed factor ${spec.factor}`);
+    close(streamed(d.reset(), x), once, 1e-12, `after reset factor ${spec.factor}`);
+    // Each stage keeps samples 0, M, 2M, ... of its filtered input
+    const direct=d.stages.reduce((y, s)=>conv(s.filter.taps, y).filter((_, n)=>n%s.factor===0), x);
+    close(once, direct, 1e-12, `direct factor ${spec.factor}`);
+  }
+});
+
+test('Interpolator: streamed blocks match one-shot output and direct zero-stuffing then filtering', ()=>{
+  for(const spec of [{ factor:3 }, { factor:4, nyquist:true }, { factor:2, taps:[0.25, 0.5, 0.25] }]){
+    const u=new Interpolator(spec), once=Array.from(u.filter(x));
+    assert.strictEqual(once.length, x.length*spec.factor, `length factor ${spec.factor}`);
+    close(streamed(u, x), once, 1e-12, `streamed factor ${spec.factor}`);
+    close(streamed(u.reset(), x), once, 1e-12, `after reset factor ${spec.factor}`);
+    const taps=u.stages[0].filter.taps.map(v=>v*spec.factor);
+    close(once, conv(taps, range(x.length*spec.factor, n=>n%spec.factor ? 0 : x[n/spec.factor])), 1e-12, `direct factor ${spec.factor}`);
+  }
+});
@@ -0,0 +1,49 @@
+// Nyquist (M-th band) FIR design: exact zero taps, the half-band symmetry, and kernels that skip the zeros
+import assert from 'assert';
+import { FilterDSP, FilterEngine, Response, Cx } from '../src/index.js';
+import { test, close, range } from './harness.js';
+
+const design=spec=>FilterDSP.designFIR({ method:'nyquist', Fs:1, ...spec });
+
+test('Nyquist design: centre tap 1/band and every band-th tap from it exactly zero', ()=>{
+  for(const [band, taps] of [[2, 31], [3, 37], [4, 45]]){
+    const f=design({ band, taps }), h=f.taps, mid=(taps-1)/2;
+    assert.strictEqual(h[mid], 1/band, `centre band ${band}`);
+    const zeros=range(taps, n=>n).filter(n=>n!==mid && (n-mid)%band===0);
+    assert.deepStrictEqual(zeros.map(n=>h[n]), zeros.map(()=>0), `zero taps band ${band}`);
+    assert.strictEqual(f.info.zeroTaps, zeros.length, `zeroTaps band ${band}`);
+    close(f.info.savings, zeros.length/taps, 1e-15, `savings band ${band}`);
+    close(h, h.slice().reverse(), 1e-15, `symmetry band ${band}`);
+    close(Cx.abs(Response.H_w_FIR(h, 0)), 1, 1e-3, `DC gain band ${band}`);
+  }
+});
+
+test('Nyquist design: half-band responses are complementary about Fs/4, windowed and equiripple', ()=>{
+  // With h[mid] = 1/2 and the other even offsets zero, H(ω) + H(π - ω) = 1 after removing the linear phase
+  const zero=h=>w=>{ const H=Response.H_w_FIR(h, w), c=w*(h.length-1)/2; return H.re*Math.cos(c)-H.im*Math.sin(c); };
+  for(const spec of [{ taps:31 }, { taps:31, design:'remez', transition:0.05 }]){
+    const A=zero(design(spec).taps);
+    close(range(9, i=>A(0.1+0.15*i)+A(Math.PI-0.1-0.15*i)), new Array(9).fill(1), 1e-12, `${spec.design ?? 'window'}`);
+    close([A(Math.PI/2)], [0.5], 1e-12, `${spec.design ?? 'window'} at Fs/4`);
+  }
+  const eq=design({ taps:31, design:'remez', transition:0.05 }).taps;
+  close(eq.filter((_, n)=>n%2===1 && n!==15), new Array(14).fill(0), 0, 'remez zeros at even offsets from the centre');
+});
+
+test('Nyquist design: rejects bad bands, tap counts and designs', ()=>{
+  assert.throws(()=>design({ taps:31, band:1 }), /band must be an integer of at least 2/);
+  assert.throws(()=>design({ taps:30 }), /odd number of taps/);
+  assert.throws(()=>design({ taps:33, design:'remez' }), /taps = 4K - 1/);
+  assert.throws(()=>design({ taps:35, band:3, design:'remez' }), /half-band \(band 2\) only/);
+  assert.throws(()=>design({ taps:31, design:'firls' }), /unknown Nyquist design 'firls'/);
+});
+
+test('FilterEngine.nonzero: lists the nonzero taps only when a quarter are zero, and the kernels give the same output', ()=>{
+  assert.deepStrictEqual(Array.from(FilterEngine.nonzero([1, 0, 2, 0, 3])), [0, 2, 4]);
+  assert.strictEqual(FilterEngine.nonzero([1, 0, 2, 3, 4]), null);
+  const h=design({ band:3, taps:37 }).taps, nz=FilterEngine.nonzero(h), x=range(200, n=>Math.sin(0.2*n)+(n%5)/4);
+  assert.ok(nz && nz.length===h.filter(v=>v!==0).length, 'nonzero indices');
+  const run=idx=>{ const hist=new Float64Array(h.length-1); return [...FilterEngine.fir(h, hist, x.slice(0, 70), idx), ...FilterEngine.fir(h, hist, x.slice(70), idx)]; };
+  close(run(nz), run(null), 1e-15, 'fir skipping zeros');
+  close(run(nz), range(200, n=>h.reduce((a, v, k)=>n-k>=0 ? a+v*x[n-k] : a, 0)), 1e-12, 'direct convolution');
+});
@@ -0,0 +1,39 @@
+// Minimum-order estimation and the {wp, ws, Rp, Rs} spec mode
+import assert from 'assert';
+import { FilterDSP, Order } from '../src/index.js';
+import { test, close, range, magDb } from './harness.js';
+
+test('buttord / cheb1ord / cheb2ord match scipy', ()=>{
+  const bs=Order.buttord([50, 300], [100, 200], 1, 40, 1000);
+  assert.strictEqual(bs.N, 5); assert.strictEqual(bs.kind, 'bandstop');
+  const lp=Order.buttord(0.2, 0.3, 3, 40, 2);
+  assert.strictEqual(lp.N, 11); close(lp.Wn, 0.2000403906692605, 1e-12, 'buttord Wn');
+  const c1=Order.cheb1ord(0.2, 0.3, 3, 40, 2);
+  assert.strictEqual(c1.N, 6); close(c1.Wn, 0.2, 0, 'cheb1ord Wn');
+  const c2=Order.cheb2ord(0.2, 0.3, 3, 40, 2);
+  assert.strictEqual(c2.N, 6); close(c2.Wn, 0.2745644373777229, 1e-12, 'cheb2ord Wn');
+});
+
+test('ellipord: the order is the smallest that meets the spec', ()=>{
+  const { N, Wn }=Order.ellipord(0.2, 0.3, 3, 40, 2);
+  assert.strictEqual(N, 4);
+  const meets=n=>{
+    const f=FilterDSP.designIIR({ family:'ellip', kind:'lowpass', N:n, Rp:3, Rs:40, Fs:2, f1:Wn });
+    return magDb(f, [0.2])[0]>=-3-1e-9 && Math.max(...magDb(f, range(101, i=>0.3+0.7*i/100)))<=-40+1e-6;
+  };
+  assert.ok(meets(N), `N = ${N} misses the spec`);
+  assert.ok(!meets(N-1), `N = ${N-1} already meets the spec`);
+});
+
+test('kaiserord: the tighter ripple sets the attenuation, taps are odd', ()=>{
+  const k=Order.kaiserord(4000, 5000, 0.1, 60, 48000);
+  assert.strictEqual(k.kind, 'lowpass'); assert.strictEqual(k.taps, 177);
+  close(k.attenuation, 60, 1e-12, 'attenuation'); close(k.beta, 0.1102*(60-8.7), 1e-12, 'beta'); close(k.Wn, 4500, 0, 'Wn');
+});
+
+test('spec mode: designIIR derives kind, order and edges from wp/ws', ()=>{
+  const f=FilterDSP.designIIR({ family:'cheby2', wp:0.2, ws:0.3, Rp:3, Rs:40, Fs:2 });
+  assert.strictEqual(f.sections.length, 3);
+  assert.ok(magDb(f, [0.2])[0]>=-3-1e-9, 'passband edge');
+  assert.ok(Math.max(...magDb(f, range(101, i=>0.3+0.7*i/100)))<=-40+1e-6, 'stopband');
+});
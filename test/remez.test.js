@@ -0,0 +1,33 @@
+// Parks-McClellan equiripple design (remez)
+import assert from 'assert';
+import { Remez, FilterDSP } from '../src/index.js';
+import { test, close, range, magDb } from './harness.js';
+
+test('remez: equal-band lowpass is a halfband filter', ()=>{
+  // Bands symmetric about Fs/4 with equal weights: h[c] = 1/2 and every second tap from the centre is zero
+  const { taps, ripple }=Remez.design(11, [0, 0.2, 0.3, 0.5], [1, 0]);
+  close(taps[5], 0.5, 1e-12, 'centre tap');
+  close([taps[1], taps[3], taps[7], taps[9]], [0, 0, 0, 0], 1e-12, 'even offsets');
+  close(taps, taps.slice().reverse(), 1e-15, 'symmetry');
+  close(ripple[0], ripple[1], 1e-9, 'equal pass/stop ripple');
+});
+
+test('remez: weighted ripple is delta/weight in every band', ()=>{
+  const { taps, delta, ripple, converged }=Remez.design(31, [0, 0.15, 0.2, 0.5], [1, 0], { weights:[1, 10] });
+  assert.ok(converged);
+  close(ripple, [delta, delta/10], 1e-6*delta, 'ripple = delta/weight');
+  const f=FilterDSP.designFIR({ kind:'lowpass', method:'remez', taps:31, Fs:1, bands:[0, 0.15, 0.2, 0.5], desired:[1, 0], weights:[1, 10] });
+  close(f.taps, taps, 1e-12, 'FIRDesigner method remez');
+  const stop=magDb(f, range(301, i=>0.2+0.3*i/300));
+  close(Math.max(...stop), 20*Math.log10(delta/10), 0.1, 'stopband peak (dB), between grid points');
+});
+
+test('remez: rejects bad specs', ()=>{
+  assert.throws(()=>Remez.design(2, [0, 0.5], [1]), /at least 3 taps/);
+  assert.throws(()=>Remez.design(11, [0, 0.2, 0.3], [1, 0]), /one desired value/);
+  assert.throws(()=>Remez.design(11, [0, 0.3, 0.2, 0.5], [1, 0]), /increasing/);
+  assert.throws(()=>Remez.design(11, [0, 0.2, 0.3, 0.6], [1, 0]), /\[0, Fs\/2\]/);
+  assert.throws(()=>Remez.design(11, [0, 0.2, 0.3, 0.5], [1, 0], { weights:[1, 0] }), /weights must be positive/);
+  for(const maxIter of [0, -1, 2.5, NaN]) assert.throws(()=>Remez.design(11, [0, 0.2, 0.3, 0.5], [1, 0], { maxIter }), /maxIter must be an integer of at least 1/);
+  assert.strictEqual(Remez.design(11, [0, 0.2, 0.3, 0.5], [1, 0], { maxIter:1 }).iterations, 1);
+});
@@ -0,0 +1,26 @@
+// Rational resampling: resamplePoly against closed-form sines and the streaming Resampler
+import assert from 'assert';
+import { resamplePoly, Resampler } from '../src/index.js';
+import { test, close, range } from './harness.js';
+
+test('resamplePoly: output length, identity and a slow sine', ()=>{
+  const x=range(200, n=>Math.sin(2*Math.PI*0.02*n)), y=resamplePoly(x, 3, 2);
+  assert.strictEqual(y.length, 300);
+  close(resamplePoly([1, 2, 3], 1, 1), [1, 2, 3], 0, 'L = M = 1');
+  // Output sample m sits at input time 2m/3; compare away from the edges
+  close(Array.from(y).slice(60, 240), range(180, i=>Math.sin(2*Math.PI*0.02*(i+60)*2/3)), 5e-3, 'interior');
+});
+
+test('Resampler: streamed blocks plus flush match resamplePoly', ()=>{
+  const x=range(301, n=>Math.sin(0.05*n)+0.3*Math.cos(0.4*n));
+  for(const [L, M] of [[3, 2], [2, 5], [4, 6]]){
+    const r=new Resampler({ L, M }), out=[];
+    for(let i=0, b=0; i<x.length; i+=b, b=(b*7+3)%40) out.push(...r.process(x.slice(i, i+b)));
+    out.push(...r.flush());
+    const once=Array.from(resamplePoly(x, L, M));
+    assert.strictEqual(out.length, once.length, `length ${L}/${M}`);
+    close(out, once, 1e-12, `streamed ${L}/${M}`);
+  }
+  assert.throws(()=>new Resampler({ L:3, M:2, taps:[1, 1] }), /odd length/);
+  assert.throws(()=>new Resampler({ L:0, M:2 }), /positive integers/);
+});
@@ -0,0 +1,17 @@
+// Runs every test/*.test.js in name order; exits non-zero when any check fails
+import { readdirSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { summary } from './harness.js';
+
+const dir=dirname(fileURLToPath(import.meta.url));
+
+async function main(){
+  for(const file of readdirSync(dir).filter(f=>f.endsWith('.test.js')).sort()){
+    console.log(`# ${file}`);
+    await import(pathToFileURL(join(dir, file)).href);
+  }
+  summary();
+}
+
+main().catch(e=>{ console.error(e); process.exitCode=1; });
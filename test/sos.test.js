@@ -0,0 +1,55 @@
+// SciPy-style zpk2sos: pairing, section order and gain scaling
+import assert from 'assert';
+import { SOS, Convert, IIRFilter, Response, Cx } from '../src/index.js';
+import { test, close, range } from './harness.js';
+
+const re=v=>({ re:v, im:0 }), polar=(r, t)=>[{ re:r*Math.cos(t), im:r*Math.sin(t) }, { re:r*Math.cos(t), im:-r*Math.sin(t) }];
+const flat=ss=>ss.flatMap(s=>s.b.concat(s.a));
+
+test('SOS.fromZPK: nearest, keep_odd and minimal pairing of an odd order', ()=>{
+  const z=[re(-1)], p=[re(0.5), re(0.8), re(0.9)];
+  // The two poles nearest the unit circle go last with the zeros nearest them (the padding at the origin)
+  const paired=[{ b:[1, 1, 0], a:[1, -0.5, 0] }, { b:[1, 0, 0], a:[1, -1.7, 0.72] }];
+  close(flat(SOS.fromZPK(z, p)), flat(paired), 1e-15, 'nearest');
+  close(flat(SOS.fromZPK(z, p, 1, { pairing:'keep_odd' })), flat(paired), 1e-15, 'keep_odd');
+  // minimal adds no roots: each missing zero is a sample of delay
+  close(flat(SOS.fromZPK(z, p, 1, { pairing:'minimal' })), flat([{ b:[0, 1, 0], a:[1, -0.5, 0] }, { b:[0, 1, 1], a:[1, -1.7, 0.72] }]), 1e-15, 'minimal');
+});
+
+test('SOS.fromZPK: each pole pair takes its nearest zeros; order puts the sharpest pair last or first', ()=>{
+  const z=[...polar(1, 0.6), ...polar(1, 2.1)], p=[...polar(0.5, 2), ...polar(0.95, 0.5)];
+  const asc=SOS.fromZPK(z, p, 2), desc=SOS.fromZPK(z, p, 2, { order:'descending' });
+  close(asc[1].a, [1, -2*0.95*Math.cos(0.5), 0.95*0.95], 1e-12, 'ascending: sharpest poles last');
+  close(asc[1].b, [1, -2*Math.cos(0.6), 1], 1e-12, 'with the zeros nearest them');
+  close(desc[0].a, asc[1].a, 0, 'descending: sharpest poles first');
+  close(asc[0].b, [2, -4*Math.cos(2.1), 2], 1e-12, 'gain in the first section');
+  for(const opts of [{}, { order:'descending' }, { pairing:'keep_odd' }, { pairing:'minimal' }]){
+    const tf=Convert.sos2tf(SOS.fromZPK(z, p, 2, opts)), ref=Convert.zpk2tf(z, p, 2);
+    close(tf.b, ref.b, 1e-12, `b ${JSON.stringify(opts)}`); close(tf.a, ref.a, 1e-12, `a ${JSON.stringify(opts)}`);
+  }
+});
+
+test('SOS.scale: l2 and linf norms of each partial cascade are 1, the overall response is unchanged', ()=>{
+  const z=[re(-1), re(-1), ...polar(1, 1.2), ...polar(1, 2)], p=[...polar(0.9, 0.4), ...polar(0.7, 0.8), ...polar(0.5, 1.5)];
+  const ref=SOS.fromZPK(z, p, 0.01), tf=Convert.sos2tf(ref);
+  const l2=SOS.fromZPK(z, p, 0.01, { scale:'l2' }), linf=SOS.scale(SOS.fromZPK(z, p, 0.01), 'linf');
+  for(const [name, ss] of [['l2', l2], ['linf', linf]]){
+    const back=Convert.sos2tf(ss);
+    close(back.b, tf.b, 1e-12, `${name}: b`); close(back.a, tf.a, 1e-12, `${name}: a`);
+  }
+  for(let i=1;i<3;i++){
+    const h=IIRFilter.fromSOS(l2.slice(0, i).map(s=>s.b.concat(s.a))).impulseResponse(4096);
+    close(Math.sqrt(h.reduce((s, v)=>s+v*v, 0)), 1, 1e-9, `l2 norm of sections 0..${i-1}`);
+    const m=Math.max(...range(4097, k=>Cx.abs(Response.H_w_IIR(linf.slice(0, i), Math.PI*k/4096))));
+    close(m, 1, 1e-4, `linf norm of sections 0..${i-1}`);
+  }
+});
+
+test('SOS.fromZPK: option and root errors', ()=>{
+  assert.throws(()=>SOS.fromZPK([], [re(0.5)], 1, { pairing:'closest' }), /unknown pairing 'closest'/);
+  assert.throws(()=>SOS.fromZPK([], [re(0.5)], 1, { order:'up' }), /unknown section order 'up'/);
+  assert.throws(()=>SOS.fromZPK([], [{ re:0.5, im:0.3 }]), /complex poles must come in conjugate pairs/);
+  assert.throws(()=>SOS.fromZPK([re(0), re(1)], [re(0.5)], 1, { pairing:'minimal' }), /minimal pairing needs at least as many poles as zeros/);
+  assert.throws(()=>SOS.scale([{ b:[1, 0, 0], a:[1, 0, 0] }], 'l1'), /unknown scaling norm 'l1'/);
+  close(flat(SOS.fromZPK([], [], 3)), [3, 0, 0, 1, 0, 0], 0, 'empty zpk');
+});
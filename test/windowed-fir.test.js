@@ -0,0 +1,16 @@
+// Window-method FIR design
+import { FilterDSP, Windows } from '../src/index.js';
+import { test, close, range } from './harness.js';
+
+test('windowed: the spec window options reach the window', ()=>{
+  const spec={ kind:'lowpass', taps:31, Fs:1, f1:0.2 }, mid=15;
+  const ideal=range(31, n=>n===mid ? 0.4 : Math.sin(2*Math.PI*0.2*(n-mid))/(Math.PI*(n-mid)));
+  const check=(opts, win)=>{
+    const taps=FilterDSP.designFIR({ ...spec, ...opts }).taps, h=ideal.map((v, n)=>v*win[n]), g=h.reduce((s, v)=>s+v, 0);
+    close(taps, h.map(v=>v/g), 1e-12, JSON.stringify(opts));
+  };
+  check({ window:'kaiser', beta:3 }, Windows.kaiser(31, 3));
+  check({ window:'kaiser' }, Windows.kaiser(31, 8.6));
+  check({ window:'tukey', alpha:0.25 }, Windows.byName('tukey', 31, { alpha:0.25 }));
+  check({ window:'gaussian', sigma:0.3 }, Windows.byName('gaussian', 31, { sigma:0.3 }));
+});
@@ -0,0 +1,35 @@
+// Steady-state initial conditions (lfilter_zi / sosfilt_zi) and state seeding
+import assert from 'assert';
+import { IIRFilter, FIRFilter, FilterDSP, Cx, Response } from '../src/index.js';
+import { test, close, B2, A2 } from './harness.js';
+
+const butter4=()=>FilterDSP.designIIR({ family:'butter', kind:'lowpass', N:4, Fs:1000, f1:100 });
+
+test('sosfilt_zi / lfilter_zi: scipy values and a flat step response', ()=>{
+  const f=IIRFilter.fromTF(B2, A2, 2);
+  close(f.zi()[0], [0.7071067811865476, 0.12132034355964261], 1e-12, 'zi');
+  const g=FilterDSP.designIIR({ family:'cheby1', kind:'lowpass', N:5, Rp:1, Fs:1000, f1:100 });
+  const y=g.filter(new Array(50).fill(3), { steadyState:true }), dc=Cx.abs(Response.H_w_IIR(g.sections, 0));
+  close(y, new Array(50).fill(3*dc), 1e-10, 'step with steady-state zi');
+  close(FIRFilter.fromTaps([0.2, 0.3, 0.5]).zi(), [1, 1], 0, 'FIR zi');
+});
+
+test('reset(x0) and setState() seed the streaming state', ()=>{
+  const f=butter4(), x=new Array(30).fill(2);
+  close(f.reset(2).process(x), x, 1e-10, 'reset(x0) on a constant');
+  const zi=f.zi().map(([a, b])=>[2*a, 2*b]);
+  close(f.setState(zi).process(x), x, 1e-10, 'setState(2·zi)');
+  close(f.getState().flat(), zi.flat(), 1e-10, 'getState after a steady block');
+  close(f.filter(x, { zi }), x, 1e-10, 'filter({zi})');
+});
+
+test('setState rejects a state of the wrong length', ()=>{
+  assert.throws(()=>FIRFilter.fromTaps([1, 2, 3]).setState([0]), /FIR state needs 2 values/);
+  assert.throws(()=>butter4().setState([[0, 0]]), /IIR state needs 4 values/);
+});
+
+test('filter({zi}) validates the state like setState', ()=>{
+  assert.throws(()=>butter4().filter([1, 2, 3], { zi:[0] }), /IIR state needs 4 values \(two per section\), got 1/);
+  assert.throws(()=>FIRFilter.fromTaps([1, 2, 3]).filter([1, 2, 3], { zi:[0, 0, 0] }), /FIR state needs 2 values \(taps.length - 1\), got 3/);
+  close(butter4().filter([1, 2], { zi:new Float64Array(4) }), butter4().filter([1, 2]), 0, 'typed-array zi');
+});